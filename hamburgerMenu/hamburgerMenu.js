@@ -1,12 +1,217 @@
+/**
+ * @typedef {Object} NavLink
+ * @property {string} name - the text of the link
+ * @property {string} [url] - where the link goes
+ * @property {NavLink[]} [children] - the links of a submenu
+ * @property {{ target?: string, select?: string, swap?: string }} [htmx] -
+ * overrides the menu's htmx-target, htmx-select and htmx-swap for this link
+ */
+
+/**
+ * Turns the anchors of the menu into links that navigate, picked with the
+ * navigation attribute of hamburger-menu
+ *
+ * @typedef {Object} NavigationAdapter
+ * @property {(a: HTMLAnchorElement, link: NavLink, menu: Element) => void} decorate
+ * - prepares the anchor of a link with a url
+ * @property {(nav: Element) => void} [process] - runs once the links are in
+ * the DOM
+ * @property {() => boolean} [isAvailable] - false falls back to plain links
+ */
+
+const DEFAULT_NAVIGATION = "link";
+
+const HTMX_DEFAULTS = {
+  target: "#main-container",
+  select: "#main-container",
+  swap: "outerHTML swap:0.3s",
+};
+
+const isPlainClick = (e) =>
+  e.button === 0 && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey;
+
+/** @type {Map<string, NavigationAdapter>} */
+const navigationAdapters = new Map([
+  [
+    "link",
+    {
+      decorate(a, link) {
+        a.href = link.url;
+      },
+    },
+  ],
+  [
+    "htmx",
+    {
+      isAvailable: () => typeof window.htmx?.process === "function",
+      decorate(a, link, menu) {
+        const option = (name) =>
+          link.htmx?.[name] ??
+          menu.getAttribute(`htmx-${name}`) ??
+          HTMX_DEFAULTS[name];
+
+        // href keeps the link working if htmx fails to load
+        a.href = link.url;
+        a.setAttribute("hx-get", link.url);
+        a.setAttribute("hx-push-url", link.url);
+        a.setAttribute("hx-select", option("select"));
+        a.setAttribute("hx-swap", option("swap"));
+        a.setAttribute("hx-target", option("target"));
+        a.addEventListener("click", () => {
+          window.scrollTo({ top: 0, behavior: "smooth" });
+        });
+      },
+      process(nav) {
+        window.htmx.process(nav);
+      },
+    },
+  ],
+  [
+    "history",
+    {
+      // For SPA routers: a cancelable navigate event, then pushState and a
+      // popstate the router already listens to, unless it was canceled
+      decorate(a, link, menu) {
+        a.href = link.url;
+        a.addEventListener("click", (e) => {
+          if (e.defaultPrevented || !isPlainClick(e)) return;
+          e.preventDefault();
+
+          const navigate = new CustomEvent("navigate", {
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+            detail: { url: link.url, link },
+          });
+          if (!menu.dispatchEvent(navigate)) return;
+
+          history.pushState(null, "", link.url);
+          window.dispatchEvent(new PopStateEvent("popstate", { state: null }));
+        });
+      },
+    },
+  ],
+]);
+
+/**
+ * Registers a navigation adapter, used by menus with navigation="<name>".
+ * Registering an existing name replaces it.
+ *
+ * @param {string} name
+ * @param {NavigationAdapter} adapter
+ * @returns {void}
+ */
+export function registerNavigationAdapter(name, adapter) {
+  navigationAdapters.set(name, adapter);
+}
+
+let submenuCount = 0;
+let navCount = 0;
+
+const DEFAULT_LABEL = "Menu";
+
+const DEFAULT_MATCH = "exact";
+
+// "/docs/" and "/docs" are the same page
+const normalizePath = (path) =>
+  path.length > 1 ? path.replace(/\/+$/, "") : path;
+
+// Only what is rendered can take focus, links of collapsed submenus can't
+const isVisible = (el) => el.getClientRects().length > 0;
+
+const isNavLinks = (links) =>
+  Array.isArray(links) &&
+  links.every(
+    (link) =>
+      link !== null &&
+      typeof link === "object" &&
+      typeof link.name === "string" &&
+      (link.url === undefined || typeof link.url === "string") &&
+      (link.children === undefined || isNavLinks(link.children)),
+  );
+
+// Reads <a href> and <details><summary> markup, wrappers like <nav>, <ul>
+// and <li> are looked through
+const parseNavLinks = (parent) => {
+  const links = [];
+  for (const child of parent.children) {
+    if (child instanceof HTMLAnchorElement) {
+      links.push({
+        name: child.textContent.trim(),
+        url: child.getAttribute("href") ?? undefined,
+      });
+    } else if (child instanceof HTMLDetailsElement) {
+      links.push({
+        name: child.querySelector(":scope > summary")?.textContent.trim() ?? "",
+        children: parseNavLinks(child),
+      });
+    } else if (!(child instanceof HTMLElement) || child.tagName === "SUMMARY") {
+      continue;
+    } else {
+      links.push(...parseNavLinks(child));
+    }
+  }
+  return links;
+};
+
 class HamburgerMenu extends HTMLElement {
+  static get observedAttributes() {
+    return ["data-links", "src"];
+  }
+
   constructor() {
     super();
     this.rendered = false;
+    this.childLinks = [];
+    this.linkData = null;
+    this.linkRequest = 0;
+    this.handleIconClick = () => this.toggleAttribute();
+    this.handleNavClick = (e) => {
+      if (e.target.closest(".hm-nav-item")) this.toggleAttribute();
+    };
+    this.handleDocumentKeydown = (e) => this.handleKeydown(e);
+    this.handleDocumentPointerdown = (e) => {
+      // The overlay covers the page, anything but a link or the icon is
+      // outside the menu
+      const target = e.composedPath()[0];
+      if (
+        target instanceof Element &&
+        (this.hmIcon?.contains(target) || target.closest(".hm-nav-ul li"))
+      ) {
+        return;
+      }
+      this.close();
+    };
+    this.previousOverflow = "";
+  }
+
+  // Links set with the links property win over the child markup, which wins
+  // over data-links and src
+  get links() {
+    return this.linkData ?? [];
+  }
+
+  set links(links) {
+    this.linkData = links;
+    if (this.rendered) this.loadLinks();
   }
 
   connectedCallback() {
+    // A links property set before the element was defined shadows the setter
+    if (Object.prototype.hasOwnProperty.call(this, "links")) {
+      const links = this.links;
+      delete this.links;
+      this.linkData = links;
+    }
+    // Read before render replaces the markup
+    if (!this.rendered) this.childLinks = parseNavLinks(this);
     this.render();
     this.hydrate();
+    this.loadLinks();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue !== newValue && this.rendered) this.loadLinks();
   }
 
   disconnectedCallback() {
@@ -14,13 +219,11 @@ class HamburgerMenu extends HTMLElement {
       this.hmIcon.removeEventListener("click", this.handleIconClick);
     }
 
-    if (this.hmNavLinks) {
-      this.hmNavLinks.forEach((link) => {
-        link.removeEventListener("click", () => {
-          this.toggleAttribute();
-        });
-      });
+    if (this.hmNav) {
+      this.hmNav.removeEventListener("click", this.handleNavClick);
     }
+
+    if (this.isOpen()) this.close(false);
   }
 
   hydrate() {
@@ -32,17 +235,52 @@ class HamburgerMenu extends HTMLElement {
   attachEventListener() {
     this.hmIcon = this.querySelector("#hm-icon");
     if (this.hmIcon) {
-      this.hmIcon.addEventListener("click", () => {
-        this.toggleAttribute();
-      });
+      this.hmIcon.addEventListener("click", this.handleIconClick);
     }
 
-    this.hmNavLinks = this.querySelectorAll("#hm-nav-link");
-    this.hmNavLinks.forEach((link) => {
-      link.addEventListener("click", () => {
-        this.toggleAttribute();
-      });
-    });
+    // Delegated, the links are replaced whenever the link source changes
+    if (this.hmNav) {
+      this.hmNav.addEventListener("click", this.handleNavClick);
+    }
+  }
+
+  async loadLinks() {
+    const request = ++this.linkRequest;
+    const raw = this.getAttribute("data-links");
+    const src = this.getAttribute("src");
+
+    let links =
+      this.linkData ?? (this.childLinks.length ? this.childLinks : null);
+    try {
+      if (!links && raw !== null) {
+        links = JSON.parse(raw);
+      } else if (!links && src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+          throw new Error(`Failed to load ${src}: ${response.statusText}`);
+        }
+        links = await response.json();
+      }
+      if (!isNavLinks(links ?? [])) {
+        throw new Error("Links must be an array of { name, url?, children? }");
+      }
+    } catch (e) {
+      if (request !== this.linkRequest) return;
+      console.error("Invalid hamburger-menu links:", e);
+      this.showLinks(null, e);
+      return;
+    }
+    if (request === this.linkRequest) this.showLinks(links ?? []);
+  }
+
+  async showLinks(links, error = null) {
+    if (error) this.setAttribute("data-error", "");
+    else this.removeAttribute("data-error");
+    await customElements.whenDefined("hamburger-nav");
+    if (error) this.hmNav?.showError("The menu could not be loaded");
+    else this.hmNav?.setLinks(links);
+    await customElements.whenDefined("hamburger-icon");
+    this.hmIcon?.updateDisclosure();
   }
 
   setMenuState() {
@@ -51,9 +289,97 @@ class HamburgerMenu extends HTMLElement {
   }
 
   toggleAttribute() {
-    const current = this.hmIcon.getAttribute("data-active") === "true";
-    this.hmIcon.setAttribute("data-active", String(!current));
-    this.hmNav.setAttribute("data-active", String(!current));
+    if (this.isOpen()) this.close();
+    else this.open();
+  }
+
+  isOpen() {
+    return this.hmIcon?.getAttribute("data-active") === "true";
+  }
+
+  open() {
+    this.hmIcon.setAttribute("data-active", "true");
+    this.hmNav.setAttribute("data-active", "true");
+
+    this.previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    document.addEventListener("keydown", this.handleDocumentKeydown);
+    document.addEventListener("pointerdown", this.handleDocumentPointerdown);
+
+    // hamburger-nav makes its links focusable when it sees data-active
+    requestAnimationFrame(() => {
+      if (this.isOpen()) this.getNavItems()[0]?.focus();
+    });
+  }
+
+  close(returnFocus = true) {
+    this.hmIcon.setAttribute("data-active", "false");
+    this.hmNav.setAttribute("data-active", "false");
+
+    document.body.style.overflow = this.previousOverflow;
+    document.removeEventListener("keydown", this.handleDocumentKeydown);
+    document.removeEventListener("pointerdown", this.handleDocumentPointerdown);
+
+    if (returnFocus) this.getIconButton()?.focus();
+  }
+
+  getIconButton() {
+    return this.hmIcon?.querySelector("#hm-icon-container") ?? null;
+  }
+
+  getNavItems() {
+    return [
+      ...(this.hmNav?.querySelectorAll(".hm-nav-item, .link-parent") ?? []),
+    ].filter(isVisible);
+  }
+
+  handleKeydown(e) {
+    const items = this.getNavItems();
+    const index = items.indexOf(document.activeElement);
+
+    switch (e.key) {
+      case "Escape":
+        e.preventDefault();
+        this.close();
+        break;
+      case "Tab": {
+        // Cycle through the icon and the links, the rest of the page is
+        // covered by the overlay
+        const cycle = [this.getIconButton(), ...items].filter(Boolean);
+        const current = cycle.indexOf(document.activeElement);
+        const next = e.shiftKey ? current - 1 : current + 1;
+        e.preventDefault();
+        cycle[(next + cycle.length) % cycle.length]?.focus();
+        break;
+      }
+      case "ArrowDown":
+      case "ArrowUp": {
+        if (items.length === 0) return;
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        const next = index === -1 ? 0 : index + step;
+        items[(next + items.length) % items.length].focus();
+        break;
+      }
+      case "Home":
+      case "End":
+        if (index === -1) return;
+        e.preventDefault();
+        items[e.key === "Home" ? 0 : items.length - 1].focus();
+        break;
+      case "ArrowRight":
+      case "ArrowLeft": {
+        // Expand or collapse the focused submenu
+        const button = items[index];
+        if (!button?.classList.contains("link-parent")) return;
+        const expanded = button.getAttribute("aria-expanded") === "true";
+        if (expanded !== (e.key === "ArrowRight")) {
+          e.preventDefault();
+          button.click();
+        }
+        break;
+      }
+    }
   }
 
   render() {
@@ -81,6 +407,10 @@ class HamburgerMenu extends HTMLElement {
           position: relative;
           width: 50px;
         }
+
+        hamburger-menu[data-error] .hm-icon-container {
+          border-color: var(--warn);
+        }
       </style>
     `;
   }
@@ -108,6 +438,7 @@ class HamburgerIcon extends HTMLElement {
   hydrate() {
     this.hmIcon = this.querySelector("#hm-icon-container");
     this.observeAttributes();
+    this.updateDisclosure();
 
     this.hmIcon.addEventListener("keydown", (e) => {
       if (e.key === "Enter" || e.key === " ") {
@@ -127,6 +458,7 @@ class HamburgerIcon extends HTMLElement {
           } else {
             this.hmIcon.classList.remove("active");
           }
+          this.updateDisclosure();
         }
       }
     });
@@ -134,9 +466,30 @@ class HamburgerIcon extends HTMLElement {
     this.attributeObserver.observe(this, { attributes: true });
   }
 
+  // Disclosure button of the nav, the nav may render after the icon
+  updateDisclosure() {
+    const menu = this.closest("hamburger-menu");
+    const nav = menu?.querySelector(".hm-nav-ul");
+    this.hmIcon.setAttribute(
+      "aria-expanded",
+      String(this.getAttribute("data-active") === "true"),
+    );
+    this.hmIcon.setAttribute(
+      "aria-label",
+      menu?.getAttribute("label") || DEFAULT_LABEL,
+    );
+    if (nav) this.hmIcon.setAttribute("aria-controls", nav.id);
+  }
+
   render() {
     this.innerHTML = `
-      <div class="hm-icon-container" id="hm-icon-container" tabindex="0">
+      <div
+        class="hm-icon-container"
+        id="hm-icon-container"
+        role="button"
+        tabindex="0"
+        aria-expanded="false"
+      >
         <span class="hm-icon-line"></span>
         <span class="hm-icon-line"></span>
         <span class="hm-icon-line"></span>
@@ -227,6 +580,22 @@ class HamburgerNav extends HTMLElement {
     super();
     this.attributeObserver = null;
     this.dataLinks = null;
+    // Paths of the expanded submenus, e.g. "Docs/Guides", kept when the
+    // links are replaced
+    this.expanded = new Set();
+    this.handleLocationChange = () => this.updateActiveLink();
+    // Routers canceling navigate push the new url after the event
+    this.handleNavigate = () =>
+      requestAnimationFrame(this.handleLocationChange);
+
+    // Delegated, the links are replaced whenever the link source changes
+    this.addEventListener("keydown", (e) => {
+      const link = e.target.closest(".hm-nav-item");
+      if (link && (e.key === "Enter" || e.key === " ")) {
+        e.preventDefault();
+        link.click();
+      }
+    });
   }
 
   connectedCallback() {
@@ -238,24 +607,120 @@ class HamburgerNav extends HTMLElement {
     if (this.attributeObserver) {
       this.attributeObserver.disconnect();
     }
+
+    window.removeEventListener("popstate", this.handleLocationChange);
+    document.removeEventListener("htmx:afterSettle", this.handleLocationChange);
+    window.navigation?.removeEventListener(
+      "navigatesuccess",
+      this.handleLocationChange,
+    );
+    this.menu?.removeEventListener("navigate", this.handleNavigate);
   }
 
   hydrate() {
-    this.hmNav = this.querySelector("#hm-nav");
-    this.hmNavLinks = this.querySelectorAll("#hm-nav-link");
-    this.hmNavSubLinks = this.querySelectorAll("#hm-nav-sub-link");
+    this.hmNav = this.querySelector(".hm-nav-ul");
+    this.queryLinks();
     this.observeAttributes();
+    this.adapter.process?.(this);
+    this.updateActiveLink();
+
+    this.menu = this.closest("hamburger-menu");
+    window.addEventListener("popstate", this.handleLocationChange);
+    document.addEventListener("htmx:afterSettle", this.handleLocationChange);
+    window.navigation?.addEventListener(
+      "navigatesuccess",
+      this.handleLocationChange,
+    );
+    this.menu?.addEventListener("navigate", this.handleNavigate);
+  }
+
+  // Marks the link of the current page, match="exact" (default) or
+  // match="prefix", where the longest link the path starts with wins, and
+  // expands the submenus it is in
+  updateActiveLink() {
+    const match =
+      this.closest("hamburger-menu")?.getAttribute("match") || DEFAULT_MATCH;
+    const current = normalizePath(location.pathname);
+
+    let active = null;
+    let activeLength = -1;
+    this.querySelectorAll("a[href]").forEach((a) => {
+      a.removeAttribute("aria-current");
+      const url = new URL(a.getAttribute("href"), location.href);
+      if (url.origin !== location.origin) return;
+
+      const path = normalizePath(url.pathname);
+      const matches =
+        path === current ||
+        (match === "prefix" && path !== "/" && current.startsWith(`${path}/`));
+      if (matches && path.length > activeLength) {
+        active = a;
+        activeLength = path.length;
+      }
+    });
+    if (!active) return;
+
+    active.setAttribute("aria-current", "page");
+    for (
+      let ul = active.closest(".hm-nav-sub-ul");
+      ul;
+      ul = ul.parentElement.closest(".hm-nav-sub-ul")
+    ) {
+      const button = this.querySelector(`[aria-controls="${ul.id}"]`);
+      if (button?.getAttribute("aria-expanded") === "false") button.click();
+    }
+  }
 
+  queryLinks() {
+    this.hmNavLinks = this.querySelectorAll(".hm-nav-item, .link-parent");
+    this.hmNavSubLinks = this.querySelectorAll(".hm-nav-sub-link");
+  }
+
+  setLinks(links) {
+    this.dataLinks = links;
+    const ul = this.querySelector(".hm-nav-ul");
+    if (!ul) return;
+
+    ul.replaceChildren(...links.map((link) => this.createLinkItem(link)));
+    this.queryLinks();
+    const tabIndex = this.getAttribute("data-active") === "true" ? 0 : -1;
     this.hmNavLinks.forEach((link) => {
-      link.addEventListener("keydown", (e) => {
-        if (e.key === "Enter" || e.key === " ") {
-          e.preventDefault();
-          link.click();
-        }
-      });
+      link.tabIndex = tabIndex;
     });
-    console.log("htmx is:", htmx); // Make sure it's defined
-    htmx.process(this);
+    this.adapter.process?.(this);
+    this.updateActiveLink();
+  }
+
+  showError(message) {
+    const ul = this.querySelector(".hm-nav-ul");
+    if (!ul) return;
+
+    const li = document.createElement("li");
+    li.classList = "hm-nav-error";
+    li.setAttribute("role", "alert");
+    li.textContent = message;
+    ul.replaceChildren(li);
+    this.queryLinks();
+  }
+
+  getNavigationAdapter() {
+    const menu = this.closest("hamburger-menu");
+    const name = menu?.getAttribute("navigation") || DEFAULT_NAVIGATION;
+    const adapter = navigationAdapters.get(name);
+
+    if (!adapter) {
+      console.warn(`Unknown navigation "${name}", using plain links`);
+    } else if (adapter.isAvailable && !adapter.isAvailable()) {
+      console.warn(`Navigation "${name}" is not available, using plain links`);
+    } else {
+      return adapter;
+    }
+    return navigationAdapters.get(DEFAULT_NAVIGATION);
+  }
+
+  decorateLink(a, link) {
+    if (!link.url) return;
+    this.adapter.decorate(a, link, this.closest("hamburger-menu") ?? this);
   }
 
   observeAttributes() {
@@ -265,6 +730,7 @@ class HamburgerNav extends HTMLElement {
           const active = this.getAttribute("data-active");
           if (active === "true") {
             this.hmNav.classList.add("active");
+            this.hmNav.inert = false;
             this.hmNavLinks.forEach((link) => {
               link.tabIndex = 0;
             });
@@ -274,6 +740,7 @@ class HamburgerNav extends HTMLElement {
             });
           } else {
             this.hmNav.classList.remove("active");
+            this.hmNav.inert = true;
             this.hmNavLinks.forEach((link) => {
               link.tabIndex = -1;
             });
@@ -289,100 +756,66 @@ class HamburgerNav extends HTMLElement {
     this.attributeObserver.observe(this, { attributes: true });
   }
 
-  createLinkItem(link) {
+  createLinkItem(link, depth = 0, parentPath = "") {
     const li = document.createElement("li");
-    const a = document.createElement("a");
+    li.style.setProperty("--hm-nav-depth", String(depth));
 
     if (Array.isArray(link.children) && link.children.length > 0) {
-      a.textContent = link.name;
-      a.classList = "link-parent";
-      li.tabIndex = 0;
+      const path = `${parentPath}/${link.name}`;
+      const expanded = this.expanded.has(path);
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = link.name;
+      button.classList = "link-parent";
+
       const subUl = document.createElement("ul");
       subUl.classList = "hm-nav-sub-ul";
+      subUl.id = `hm-nav-sub-ul-${++submenuCount}`;
+      subUl.classList.toggle("open", expanded);
+      button.setAttribute("aria-controls", subUl.id);
+      button.setAttribute("aria-expanded", String(expanded));
+      li.classList.toggle("open", expanded);
 
       link.children.forEach((child) => {
-        const subLi = this.createSubLinkItem(child);
-        subUl.appendChild(subLi);
+        subUl.appendChild(this.createLinkItem(child, depth + 1, path));
       });
-      li.appendChild(a);
+      li.appendChild(button);
       li.appendChild(subUl);
 
-      li.addEventListener("click", (e) => {
-        e.preventDefault();
-        li.classList.toggle("open");
-        subUl.classList.toggle("open");
-      });
-
-      li.addEventListener("keydown", (e) => {
-        if (e.key === "Enter" || e.key === " ") {
-          e.preventDefault();
-          li.click();
-        }
+      button.addEventListener("click", () => {
+        const open = button.getAttribute("aria-expanded") !== "true";
+        button.setAttribute("aria-expanded", String(open));
+        li.classList.toggle("open", open);
+        subUl.classList.toggle("open", open);
+        if (open) this.expanded.add(path);
+        else this.expanded.delete(path);
       });
     } else {
+      const a = document.createElement("a");
       a.textContent = link.name;
-      a.classList = "hm-nav-link";
-      a.id = "hm-nav-link";
+      const levelClass = depth === 0 ? "hm-nav-link" : "hm-nav-sub-link";
+      a.classList = `hm-nav-item ${levelClass}`;
       a.tabIndex = 0;
-      if (link.url) {
-        a.setAttribute("hx-get", link.url);
-        a.setAttribute("hx-push-url", link.url);
-        a.setAttribute("hx-select", "#main-container");
-        a.setAttribute("hx-swap", "outerHTML swap:0.3s");
-        a.setAttribute("hx-target", "#main-container");
-        a.setAttribute(
-          "hx-on:click",
-          "window.scrollTo({ top: 0, behavior: 'smooth' });",
-        );
-      }
+      this.decorateLink(a, link);
 
       li.appendChild(a);
     }
     return li;
   }
 
-  createSubLinkItem(child) {
-    const a = document.createElement("a");
-    a.textContent = child.name;
-    a.classList = "hm-nav-sub-link";
-    a.id = "hm-nav-link";
-    a.tabIndex = 0;
-    a.setAttribute("hx-get", child.url);
-    a.setAttribute("hx-push-url", child.url);
-    a.setAttribute("hx-select", "#main-container");
-    a.setAttribute("hx-swap", "outerHTML swap:0.3s");
-    a.setAttribute("hx-target", "#main-container");
-    a.setAttribute(
-      "hx-on:click",
-      "window.scrollTo({ top: 0, behavior: 'smooth' });",
-    );
-    return a;
-  }
-
-  getDataLinks() {
-    const raw = document
-      .querySelector("hamburger-menu")
-      .getAttribute("data-links");
-    let links = [];
-
-    try {
-      links = JSON.parse(raw);
-    } catch (e) {
-      console.error("Invalid JSON in data-links:", e);
-      return;
-    }
-    return links;
-  }
-
   render() {
-    this.dataLinks = this.getDataLinks();
+    this.adapter = this.getNavigationAdapter();
+    // Filled by hamburger-menu, see setLinks
+    this.dataLinks ??= [];
 
     const nav = document.createElement("nav");
     nav.classList.add("hm-nav");
 
     const ul = document.createElement("ul");
     ul.classList = "hm-nav-ul";
-    ul.id = "hm-nav";
+    ul.id = `hm-nav-ul-${++navCount}`;
+    ul.inert = this.getAttribute("data-active") !== "true";
 
     this.dataLinks.forEach((link) => {
       const li = this.createLinkItem(link);
@@ -455,7 +888,7 @@ class HamburgerNav extends HTMLElement {
           width: 150px;
         }
 
-        .hm-nav a::after {
+        .hm-nav a::after, .hm-nav .link-parent::after {
           background-color: currentColor;
           bottom: -2px;
           content: '';
@@ -468,7 +901,12 @@ class HamburgerNav extends HTMLElement {
           width: 100%;
         }
 
-        .hm-nav a:hover::after, .hm-nav li:hover::after  {
+        .hm-nav a:hover::after, .hm-nav .link-parent:hover::after  {
+          transform: scaleX(1);
+        }
+
+        .hm-nav a[aria-current="page"]::after {
+          height: 4px;
           transform: scaleX(1);
         }
 
@@ -488,9 +926,14 @@ class HamburgerNav extends HTMLElement {
         }
 
         .link-parent {
+          background: none;
+          border: none;
           color: inherit;
+          cursor: pointer;
           display: inline-block;
+          font: inherit;
           font-size: 1.5rem;
+          padding: 0;
           position: relative;
           text-align: center;
           text-decoration: none;
@@ -502,11 +945,23 @@ class HamburgerNav extends HTMLElement {
           width: 150px;
         }
 
+        .hm-nav-error {
+          font-size: 1.2rem;
+          max-width: 80vw;
+        }
+
+        /* Every level is indented a little further than its parent */
+        .hm-nav-sub-ul .link-parent {
+          font-size: 1.2rem;
+          margin-left: calc(4rem + var(--hm-nav-depth) * 2rem);
+          text-align: left;
+        }
+
         .hm-nav-sub-link {
           color: inherit;
           display: inline-block;
           font-size: 1.2rem;
-          margin-left: 6rem;
+          margin-left: calc(4rem + var(--hm-nav-depth) * 2rem);
           position: relative;
           text-align: left;
           text-decoration: none;
@@ -1,13 +1,360 @@
 // @ts-check
 
+/** How far outside the viewport a loading="lazy" icon starts loading */
+const LAZY_ROOT_MARGIN = "200px";
+
+/** Attributes that only change how the icon is described, not the icon */
+const LABEL_ATTRIBUTES = [
+  "data-alt",
+  "data-alt-light",
+  "data-alt-dark",
+  "decorative",
+  "title",
+];
+
+/** Crossfade between theme variants, see data-transition-duration/-easing */
+const DEFAULT_TRANSITION_DURATION = 600;
+const DEFAULT_TRANSITION_EASING = "ease-in-out";
+
+/** Failed fetches are retried data-retries times, waiting data-retry-delay
+ * ms and doubling it after every attempt */
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 500;
+
+/** Statuses worth retrying, the server may answer next time */
+const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/** Only elements in this namespace survive sanitizeSvg */
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * Whether an attribute value or stylesheet references something outside
+ * the document: a url() that isn't a #fragment, an image-set() or
+ * similar, an @import, or a url with a scheme or protocol relative
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function hasExternalReference(value) {
+  // Capture the first character of the argument, after the optional quote
+  for (const [, first] of value.matchAll(/url\(\s*['"]?\s*([^'"\s)])/gi)) {
+    if (first !== "#") return true;
+  }
+  return (
+    /(?:image-set|image|cross-fade)\(|@import/i.test(value) ||
+    /(?:^|[\s'"(,;=])(?:[a-z][a-z0-9+.-]*:\/\/|\/\/|(?:javascript|vbscript|data):)/i.test(
+      value,
+    )
+  );
+}
+
+/**
+ * Resolves after ms, or right away once signal is aborted
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timeout);
+        resolve();
+      },
+      { once: true },
+    );
+  });
+}
+
+/** Header added to cached responses, the time they were stored in ms */
+const CACHED_AT_HEADER = "X-Icon-Cached-At";
+
+/**
+ * @typedef {Object} SharedIcon
+ * @property {Promise<Blob | null>} promise - the load, in flight or settled
+ * @property {Blob | null} blob - the icon once loaded
+ * @property {string | null} objectUrl - created on first use, revoked when
+ * no instance holds the icon anymore
+ * @property {Set<Element>} owners - instances holding the icon, the entry
+ * is evicted once none does and nobody waits on it
+ * @property {AbortController | null} controller - cancels the load while it
+ * is in flight, null once it settled
+ * @property {number} waiters - callers still waiting on the load, it is
+ * canceled when the last one gives up
+ */
+
+/**
+ * Icons shared by every icon-theme-aware on the page, keyed by source url,
+ * so fifty instances of the same icon load it once
+ *
+ * @type {Map<string, SharedIcon>}
+ */
+const iconRegistry = new Map();
+
+/**
+ * Fires icon-update with { src, blob } when a background revalidation
+ * replaced a shared icon, so every instance showing it re-renders
+ */
+const iconUpdates = new EventTarget();
+
+/**
+ * Loads an icon once per url, concurrent callers share the in-flight load.
+ * Failed loads are forgotten so a later instance can try again.
+ * A caller's signal only ends its own wait, the load itself is canceled
+ * once every caller waiting on it gave up. Callers without a signal wait
+ * until it settles.
+ *
+ * @param {string} src - the icon url
+ * @param {(signal: AbortSignal) => Promise<Blob | null>} load - loads the
+ * icon if nobody has yet
+ * @param {AbortSignal} [signal] - aborted when the caller stops waiting
+ * @returns {Promise<Blob | null>} the icon, null if it failed or signal
+ * was aborted
+ */
+function loadSharedIcon(src, load, signal) {
+  let entry = iconRegistry.get(src);
+  if (!entry) {
+    const controller = new AbortController();
+    /** @type {SharedIcon} */
+    const created = {
+      promise: load(controller.signal)
+        .catch(() => null)
+        .then((blob) => {
+          created.blob = blob;
+          created.controller = null;
+          if (blob === null && iconRegistry.get(src) === created) {
+            iconRegistry.delete(src);
+          }
+          return blob;
+        }),
+      blob: null,
+      objectUrl: null,
+      owners: new Set(),
+      controller,
+      waiters: 0,
+    };
+    iconRegistry.set(src, created);
+    entry = created;
+  }
+  return waitForSharedIcon(src, entry, signal);
+}
+
+/**
+ * Waits for a shared load, counting the caller as a waiter while it runs
+ *
+ * @param {string} src - the icon url
+ * @param {SharedIcon} entry - the registry entry
+ * @param {AbortSignal} [signal] - aborted when the caller stops waiting
+ * @returns {Promise<Blob | null>}
+ */
+function waitForSharedIcon(src, entry, signal) {
+  if (!entry.controller) return entry.promise;
+  if (signal?.aborted) return Promise.resolve(null);
+
+  entry.waiters++;
+  if (!signal) return entry.promise;
+
+  return new Promise((resolve) => {
+    let waiting = true;
+    const stopWaiting = () => {
+      if (!waiting) return false;
+      waiting = false;
+      signal.removeEventListener("abort", onAbort);
+      entry.waiters--;
+      return true;
+    };
+    const onAbort = () => {
+      if (!stopWaiting()) return;
+      if (entry.waiters === 0 && entry.controller) {
+        // Nobody wants it anymore, the next caller starts over
+        entry.controller.abort();
+        if (iconRegistry.get(src) === entry) iconRegistry.delete(src);
+      }
+      resolve(null);
+    };
+    signal.addEventListener("abort", onAbort);
+    entry.promise.then((blob) => {
+      stopWaiting();
+      resolve(blob);
+    });
+  });
+}
+
+/**
+ * Replaces a shared icon that changed on the server and tells every
+ * instance through iconUpdates. Images already showing the old object URL
+ * keep their decoded pixels, new ones get a fresh URL.
+ *
+ * @param {string} src - the icon url
+ * @param {Blob} blob - the new icon
+ * @returns {void}
+ */
+function updateSharedIcon(src, blob) {
+  const entry = iconRegistry.get(src);
+  if (entry) {
+    if (entry.objectUrl) URL.revokeObjectURL(entry.objectUrl);
+    entry.objectUrl = null;
+    entry.blob = blob;
+    entry.promise = Promise.resolve(blob);
+  } else {
+    loadSharedIcon(src, async () => blob);
+  }
+  iconUpdates.dispatchEvent(
+    new CustomEvent("icon-update", { detail: { src, blob } }),
+  );
+}
+
+/**
+ * Records owner as holding a loaded icon, keeping its entry in the registry
+ *
+ * @param {string} src - the icon url
+ * @param {Element} owner - the instance that loaded the icon
+ * @returns {void}
+ */
+function retainSharedIcon(src, owner) {
+  iconRegistry.get(src)?.owners.add(owner);
+}
+
+/**
+ * Returns the shared object URL of an icon and records owner as a holder
+ *
+ * @param {string} src - the icon url
+ * @param {Element} owner - the instance showing the icon
+ * @param {Blob} blob - the icon, registered if the registry doesn't have it
+ * @returns {string}
+ */
+function retainIconUrl(src, owner, blob) {
+  let entry = iconRegistry.get(src);
+  if (!entry) {
+    loadSharedIcon(src, async () => blob);
+    entry = /** @type {SharedIcon} */ (iconRegistry.get(src));
+  }
+  entry.blob ??= blob;
+  entry.owners.add(owner);
+  entry.objectUrl ??= URL.createObjectURL(entry.blob);
+  return entry.objectUrl;
+}
+
+/**
+ * Drops the icons owner holds. Those nobody else holds get their object URL
+ * revoked and leave the registry, unless a load is still waited on.
+ *
+ * @param {Element} owner - the instance being removed or changing sources
+ * @param {string[]} [keep] - urls owner still shows
+ * @returns {void}
+ */
+function releaseSharedIcons(owner, keep = []) {
+  for (const [src, entry] of iconRegistry) {
+    if (keep.includes(src)) continue;
+    if (!entry.owners.delete(owner) || entry.owners.size > 0) continue;
+    if (entry.objectUrl) URL.revokeObjectURL(entry.objectUrl);
+    entry.objectUrl = null;
+    if (entry.waiters === 0 && entry.controller === null) {
+      iconRegistry.delete(src);
+    }
+  }
+}
+
+/**
+ * Buckets whose older versions were already deleted on this page, so only
+ * the first instance opening a bucket looks for them
+ *
+ * @type {Set<string>}
+ */
+const cleanedBuckets = new Set();
+
+/**
+ * Compares two data-cache-version values, numbers inside them numerically
+ * so "10" comes after "9" and "1.10" after "1.9"
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} negative if a is older than b, positive if newer
+ */
+function compareVersions(a, b) {
+  return a.localeCompare(b, "en", { numeric: true });
+}
+
+/**
+ * Builds the response stored in Cache Storage, stamped with the time it was
+ * stored for data-max-age
+ *
+ * @param {Blob} blob - the response body
+ * @param {Headers} headers - the original response headers
+ * @returns {Response}
+ */
+function createCachedResponse(blob, headers) {
+  const stamped = new Headers(headers);
+  stamped.set(CACHED_AT_HEADER, String(Date.now()));
+  return new Response(blob, { status: 200, headers: stamped });
+}
+
+/**
+ * Warms the shared registry so icons render without waiting once their
+ * elements connect. With a cache name, the Cache Storage bucket an element
+ * would use ("<data-name>" or "<data-name>@<data-cache-version>") is read
+ * first and filled with what gets fetched.
+ *
+ * @param {string[]} urls - the icon urls
+ * @param {string | null} [cacheName] - the Cache Storage bucket
+ * @returns {Promise<(Blob | null)[]>} the icons, null for those that failed
+ */
+export function preload(urls, cacheName = null) {
+  return Promise.all(
+    urls.map((src) =>
+      loadSharedIcon(src, async (signal) => {
+        const cache =
+          cacheName && typeof caches !== "undefined"
+            ? await caches.open(cacheName).catch(() => null)
+            : null;
+        const cached = await cache?.match(src);
+        if (cached) return await cached.blob();
+
+        const response = await fetch(src, { cache: "no-cache", signal });
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        await cache?.put(src, createCachedResponse(blob, response.headers));
+        return blob;
+      }),
+    ),
+  );
+}
+
 customElements.define(
   "icon-theme-aware",
   class extends HTMLElement {
+    static get observedAttributes() {
+      return [
+        "data-src",
+        "sizes",
+        "data-width",
+        "data-height",
+        "data-transition-duration",
+        "data-transition-easing",
+        ...LABEL_ATTRIBUTES,
+      ];
+    }
+
     constructor() {
       super();
       this.attachShadow({ mode: "open" });
       /** @type {MutationObserver | null} */
       this.observer = null;
+      /** @type {MutationObserver | null} watches data-src-* and data-srcset-* */
+      this.sourceObserver = null;
+      /** @type {IntersectionObserver | null} */
+      this.intersectionObserver = null;
+      /** @type {AbortController | null} cancels the loads of stale sources */
+      this.abortController = null;
+      /** @type {boolean} */
+      this.updateQueued = false;
+      /** @type {Element | null} the icon fading in or shown */
+      this.shownIcon = null;
+      /** @type {(() => void) | null} stops watching devicePixelRatio */
+      this.unwatchPixelRatio = null;
     }
 
     /**
@@ -17,6 +364,8 @@ customElements.define(
      */
     connectedCallback() {
       this.render();
+      this.observeSources();
+      iconUpdates.addEventListener("icon-update", this.handleIconUpdate);
       this.hydrate();
     }
 
@@ -29,38 +378,319 @@ customElements.define(
       if (this.observer) {
         this.observer.disconnect();
       }
+      this.sourceObserver?.disconnect();
+      this.sourceObserver = null;
+      if (this.intersectionObserver) {
+        this.intersectionObserver.disconnect();
+        this.intersectionObserver = null;
+      }
+      this.abortController?.abort();
+      this.unwatchPixelRatio?.();
+      iconUpdates.removeEventListener("icon-update", this.handleIconUpdate);
+      releaseSharedIcons(this);
+    }
+
+    /**
+     * Lifecycle method called when an observed attribute changes, e.g. when
+     * htmx swaps the sources or dimensions in place. Changes made together
+     * are applied once, after the variables were initialized.
+     *
+     * @param {string} name
+     * @param {string | null} oldValue
+     * @param {string | null} newValue
+     * @returns {void}
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue === newValue || !this.icons) return;
+      if (LABEL_ATTRIBUTES.includes(name)) {
+        this.updateLabel();
+        return;
+      }
+      this.queueUpdate();
+    }
+
+    /**
+     * Watches the data-src-<theme> and data-srcset-<theme> attributes, the
+     * theme names aren't known up front so observedAttributes can't list them
+     *
+     * @returns {void}
+     */
+    observeSources() {
+      this.sourceObserver?.disconnect();
+      this.sourceObserver = new MutationObserver((mutations) => {
+        const changed = mutations.some(
+          ({ attributeName, oldValue }) =>
+            attributeName !== null &&
+            /^data-src(?:set)?-/.test(attributeName) &&
+            oldValue !== this.getAttribute(attributeName),
+        );
+        if (changed && this.icons) this.queueUpdate();
+      });
+      this.sourceObserver.observe(this, {
+        attributes: true,
+        attributeOldValue: true,
+      });
+    }
+
+    /**
+     * Runs updateIcon once for all the attribute changes made together
+     *
+     * @returns {void}
+     */
+    queueUpdate() {
+      if (this.updateQueued) return;
+      this.updateQueued = true;
+      queueMicrotask(() => {
+        this.updateQueued = false;
+        if (this.isConnected) this.updateIcon();
+      });
     }
 
     /**
      * Lifecycle method called after the element has rendered
+     * Problems are reported through the icon-error event, never thrown.
+     * Without Cache Storage the icons are rendered as plain <img src>.
+     * With loading="lazy" nothing is looked up until the element nears the
+     * viewport, the container already holds the data-width/data-height space,
+     * and only the current theme's icon is loaded, the others when idle.
      */
     async hydrate() {
+      const lazy = this.getAttribute("loading") === "lazy";
+      if (lazy) await this.whenNearViewport();
       await this.initVariables();
 
-      if (!this.cache) throw new Error("Cache was not initialized");
-      if (!this.srcLight || !this.srcDark) {
-        throw new Error("Missing icon source(s): srcLight or srcDark is null");
-      }
-      await this.initIcons(this.cache, this.srcLight, this.srcDark);
-      if (this.iconLight === null) {
-        this.iconLight = await this.fetchIcon(this.srcLight, this.cache);
-      }
-      if (this.iconDark === null) {
-        this.iconDark = await this.fetchIcon(this.srcDark, this.cache);
+      const sourceUrls = this.getSourceUrls();
+      if (sourceUrls.length === 0) {
+        this.showError(
+          new Error(
+            "Missing icon source(s): no data-src or data-src-<theme> attribute",
+          ),
+        );
+        return;
       }
+      const controller = new AbortController();
+      this.abortController = controller;
+      await this.loadIcons(this.getInitialUrls(lazy), controller.signal);
+      // An attribute change while loading took over, see updateIcon
+      if (controller.signal.aborted) return;
       if (
         typeof this.iconWidth !== "number" ||
-        typeof this.iconHeight !== "number"
+        typeof this.iconHeight !== "number" ||
+        typeof this.currentTheme !== "string"
       ) {
-        throw new Error(
-          "iconWidth and iconHeight must be set before calling insertIcon",
+        this.showError(
+          new Error("iconWidth, iconHeight and currentTheme must be set"),
         );
-      }
-      if (typeof this.currentTheme !== "string") {
-        throw new Error("currentTheme must be set before calling insertIcon");
+        return;
       }
       this.insertIcon(this.iconHeight, this.iconWidth, this.currentTheme);
       this.observeAttributes();
+      this.watchPixelRatio();
+      if (lazy) {
+        this.whenIdle(() => this.loadIcons(sourceUrls, controller.signal));
+      }
+    }
+
+    /**
+     * Re-resolves the sources and dimensions after they changed, cancels the
+     * loads still running for the old sources, releases their object URLs
+     * and re-renders with the new icon
+     *
+     * @returns {Promise<void>}
+     */
+    async updateIcon() {
+      this.abortController?.abort();
+      const controller = new AbortController();
+      this.abortController = controller;
+
+      this.iconHeight = this.getDimensionAttribute(this, "data-height", 64);
+      this.iconWidth = this.getDimensionAttribute(this, "data-width", 64);
+      this.sources = this.getSources();
+      this.fallbackSrc = this.getAttribute("data-src");
+
+      const sourceUrls = this.getSourceUrls();
+      for (const src of [...(this.icons?.keys() ?? [])]) {
+        if (sourceUrls.includes(src)) continue;
+        this.icons?.delete(src);
+        this.svgs?.delete(src);
+      }
+      releaseSharedIcons(this, sourceUrls);
+      this.render();
+
+      if (sourceUrls.length === 0) {
+        this.showError(
+          new Error(
+            "Missing icon source(s): no data-src or data-src-<theme> attribute",
+          ),
+        );
+        return;
+      }
+      const lazy = this.getAttribute("loading") === "lazy";
+      await this.loadIcons(this.getInitialUrls(lazy), controller.signal);
+      if (controller.signal.aborted || typeof this.currentTheme !== "string") {
+        return;
+      }
+
+      this.insertIcon(this.iconHeight, this.iconWidth, this.currentTheme);
+      if (!this.observer) this.observeAttributes();
+      this.watchPixelRatio();
+      if (lazy) {
+        this.whenIdle(() => this.loadIcons(sourceUrls, controller.signal));
+      }
+    }
+
+    /**
+     * The icons to load before showing anything, only the current theme's
+     * with loading="lazy"
+     *
+     * @param {boolean} lazy
+     * @returns {string[]}
+     */
+    getInitialUrls(lazy) {
+      const currentSrc =
+        typeof this.currentTheme === "string"
+          ? this.getSource(this.currentTheme)
+          : null;
+      return lazy && currentSrc ? [currentSrc] : this.getSourceUrls();
+    }
+
+    /**
+     * Resolves once the element is within LAZY_ROOT_MARGIN of the viewport,
+     * right away where IntersectionObserver is missing
+     *
+     * @returns {Promise<void>}
+     */
+    whenNearViewport() {
+      if (typeof IntersectionObserver === "undefined") {
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => {
+        this.intersectionObserver = new IntersectionObserver(
+          (entries) => {
+            if (!entries.some((entry) => entry.isIntersecting)) return;
+            this.intersectionObserver?.disconnect();
+            this.intersectionObserver = null;
+            resolve();
+          },
+          { rootMargin: LAZY_ROOT_MARGIN },
+        );
+        this.intersectionObserver.observe(this);
+      });
+    }
+
+    /**
+     * Runs a callback when the browser is idle, after a short delay where
+     * requestIdleCallback is missing. Skipped if the element was removed.
+     *
+     * @param {() => void} callback
+     * @returns {void}
+     */
+    whenIdle(callback) {
+      const run = () => {
+        if (this.isConnected) callback();
+      };
+      if (typeof requestIdleCallback === "function") {
+        requestIdleCallback(run);
+      } else {
+        setTimeout(run, 200);
+      }
+    }
+
+    /**
+     * Loads the icons not loaded yet from the cache or the network.
+     * Without Cache Storage nothing is loaded, insertIcon uses the urls.
+     *
+     * @param {string[]} sourceUrls
+     * @param {AbortSignal} [signal] - aborted when the sources change
+     * @returns {Promise<void>}
+     */
+    async loadIcons(sourceUrls, signal) {
+      const cache = this.cache;
+      if (!cache || signal?.aborted) return;
+      const missing = sourceUrls.filter((src) => !this.icons?.has(src));
+      if (missing.length === 0) return;
+      try {
+        await this.initIcons(cache, missing, signal);
+        for (const src of missing) {
+          if (signal?.aborted) return;
+          await this.initSvg(src);
+        }
+      } catch (error) {
+        console.warn("Icon cache unavailable, using direct sources:", error);
+      }
+    }
+
+    /**
+     * Reports a failure through a bubbling, composed icon-error event
+     *
+     * @param {Error} error - what went wrong
+     * @param {string | null} [src] - the icon source involved, if any
+     * @returns {void}
+     */
+    dispatchIconError(error, src = null) {
+      this.dispatchEvent(
+        new CustomEvent("icon-error", {
+          bubbles: true,
+          composed: true,
+          detail: { error, theme: this.currentTheme ?? null, src },
+        }),
+      );
+    }
+
+    /**
+     * Announces the shown icon is ready through a bubbling, composed
+     * icon-load event
+     *
+     * @param {string} src - the icon source shown
+     * @returns {void}
+     */
+    dispatchIconLoad(src) {
+      this.setState("loaded");
+      this.dispatchEvent(
+        new CustomEvent("icon-load", {
+          bubbles: true,
+          composed: true,
+          detail: { theme: this.currentTheme ?? null, src },
+        }),
+      );
+    }
+
+    /**
+     * Shows the error slot in place of the icon and reports the failure
+     *
+     * @param {Error} error - what went wrong
+     * @param {string | null} [src] - the icon source involved, if any
+     * @returns {void}
+     */
+    showError(error, src = null) {
+      this.setState("error");
+      this.dispatchIconError(error, src);
+    }
+
+    /**
+     * Switches between the placeholder slot, the icon and the error slot
+     *
+     * @param {"loading" | "loaded" | "error"} state
+     * @returns {void}
+     */
+    setState(state) {
+      const container = this.shadowRoot?.getElementById("icon-container");
+      if (container) container.dataset.state = state;
+    }
+
+    /**
+     * Reads data-retries and data-retry-delay, falling back to the defaults
+     * when missing or invalid
+     *
+     * @returns {{ retries: number, delay: number }}
+     */
+    getRetryPolicy() {
+      const retries = parseInt(this.getAttribute("data-retries") || "", 10);
+      const delay = parseInt(this.getAttribute("data-retry-delay") || "", 10);
+      return {
+        retries: isNaN(retries) || retries < 0 ? DEFAULT_RETRIES : retries,
+        delay: isNaN(delay) || delay < 0 ? DEFAULT_RETRY_DELAY : delay,
+      };
     }
 
     /**
@@ -69,24 +699,32 @@ customElements.define(
     async initVariables() {
       /** @type {string}**/
       this.currentTheme = this.getSystemTheme();
-      /** @type {Blob | null}**/
-      this.iconLight = null;
-      /** @type {Blob | null}**/
-      this.iconDark = null;
+      /** @type {Map<string, Blob | null>} icons by source url **/
+      this.icons = new Map();
+      /** @type {Map<string, SVGSVGElement>} sanitized svg icons by source url **/
+      this.svgs = new Map();
       /** @type {number} **/
       this.iconHeight = this.getDimensionAttribute(this, "data-height", 64);
       /** @type {number} **/
       this.iconWidth = this.getDimensionAttribute(this, "data-width", 64);
+      /** @type {Map<string, string>} **/
+      this.sources = this.getSources();
       /** @type {string | null} **/
-      this.srcLight = this.getAttribute("data-src-light");
-      /** @type {string | null} **/
-      this.srcDark = this.getAttribute("data-src-dark");
+      this.fallbackSrc = this.getAttribute("data-src");
       /** @type {string | null} **/
       this.name = this.getAttribute("data-name");
       /** @type {string | null} **/
       this.key = this.getAttribute("data-name");
-      /** @type {Cache}**/
-      this.cache = await this.initCache(this.name);
+      /** @type {string | null} **/
+      this.cacheVersion = this.getAttribute("data-cache-version");
+      /** @type {number | null} seconds, null keeps entries until the version changes **/
+      this.maxAge = this.getMaxAge();
+      /** @type {boolean} **/
+      this.staleWhileRevalidate = this.hasAttribute(
+        "data-stale-while-revalidate",
+      );
+      /** @type {Cache | null}**/
+      this.cache = await this.initCache(this.name, this.cacheVersion);
     }
 
     /**
@@ -105,21 +743,207 @@ customElements.define(
     }
 
     /**
-     * Init the cache
+     * Reads data-max-age, how many seconds a cached icon stays fresh
+     *
+     * @returns {number | null} the max age, null if missing or invalid
+     */
+    getMaxAge() {
+      const maxAge = parseInt(this.getAttribute("data-max-age") || "", 10);
+      return isNaN(maxAge) || maxAge < 0 ? null : maxAge;
+    }
+
+    /**
+     * Collects the icon source of every theme from the data-src-<theme>
+     * attributes, e.g. data-src-light, data-src-dark, data-src-sepia.
+     * A data-srcset-<theme> wins over data-src-<theme>, its best candidate
+     * for the current devicePixelRatio is used.
+     *
+     * @returns {Map<string, string>} the source url by theme name
+     */
+    getSources() {
+      /** @type {Map<string, string>} **/
+      const sources = new Map();
+      for (const attrName of this.getAttributeNames()) {
+        if (!attrName.startsWith("data-src-")) continue;
+        const src = this.getAttribute(attrName);
+        if (src) sources.set(attrName.slice("data-src-".length), src);
+      }
+      for (const attrName of this.getAttributeNames()) {
+        if (!attrName.startsWith("data-srcset-")) continue;
+        const src = this.pickCandidate(this.getAttribute(attrName) || "");
+        if (src) sources.set(attrName.slice("data-srcset-".length), src);
+      }
+      return sources;
+    }
+
+    /**
+     * Picks the srcset candidate for the current devicePixelRatio, the
+     * smallest one dense enough, or the densest if none is.
+     * Supports x descriptors and w descriptors measured against sizes.
+     *
+     * @param {string} srcset - e.g. "icon.png 1x, icon@2x.png 2x"
+     * @returns {string | null} the candidate url, null if srcset is empty
+     */
+    pickCandidate(srcset) {
+      const ratio = window.devicePixelRatio || 1;
+      const candidates = srcset
+        .split(",")
+        .map((candidate) => candidate.trim().split(/\s+/))
+        .filter(([url]) => url)
+        .map(([url, descriptor = "1x"]) => {
+          const value = parseFloat(descriptor);
+          const density = descriptor.endsWith("w")
+            ? value / this.getSlotWidth()
+            : value;
+          return { url, density: isNaN(density) ? 1 : density };
+        })
+        .sort((a, b) => a.density - b.density);
+      if (candidates.length === 0) return null;
+
+      const match = candidates.find(({ density }) => density >= ratio);
+      return (match ?? candidates[candidates.length - 1]).url;
+    }
+
+    /**
+     * Resolves the width the icon is shown at in CSS pixels from sizes, the
+     * first entry whose media condition matches, e.g.
+     * "(min-width: 800px) 48px, 32px". Supports px, em, rem and vw lengths,
+     * anything else uses data-width.
+     *
+     * @returns {number}
+     */
+    getSlotWidth() {
+      const width = this.getDimensionAttribute(this, "data-width", 64);
+      const sizes = this.getAttribute("sizes");
+      if (!sizes) return width;
+
+      for (const size of sizes.split(",")) {
+        const [, condition, length] =
+          size.trim().match(/^(.*?)\s*(\S+)$/) ?? [];
+        if (!length) continue;
+        if (condition && !window.matchMedia?.(condition).matches) continue;
+
+        const value = parseFloat(length);
+        if (isNaN(value) || value <= 0) return width;
+        if (length.endsWith("vw")) return (value * window.innerWidth) / 100;
+        if (length.endsWith("em")) return value * 16;
+        return length.endsWith("px") ? value : width;
+      }
+      return width;
+    }
+
+    /**
+     * Picks the srcset candidates again when devicePixelRatio changes, e.g.
+     * when the window moves to another monitor, and shows the new icon if
+     * the pick changed
+     *
+     * @returns {void}
+     */
+    watchPixelRatio() {
+      this.unwatchPixelRatio?.();
+      this.unwatchPixelRatio = null;
+      const hasSrcset = this.getAttributeNames().some((name) =>
+        name.startsWith("data-srcset-"),
+      );
+      if (!hasSrcset || !window.matchMedia) return;
+
+      const query = window.matchMedia(
+        `(resolution: ${window.devicePixelRatio || 1}dppx)`,
+      );
+      const onChange = () => {
+        const sources = this.getSources();
+        const changed = [...sources].some(
+          ([theme, src]) => this.sources?.get(theme) !== src,
+        );
+        if (changed) this.updateIcon();
+        else this.watchPixelRatio();
+      };
+      query.addEventListener("change", onChange);
+      this.unwatchPixelRatio = () =>
+        query.removeEventListener("change", onChange);
+    }
+
+    /**
+     * Resolves the icon source for a theme, themes without their own
+     * data-src-<theme> attribute use data-src, then the light icon.
+     * A single SVG in data-src can serve every theme, see data-recolor.
+     *
+     * @param {string} theme
+     * @returns {string | null}
+     */
+    getSource(theme) {
+      return (
+        this.sources?.get(theme) ??
+        this.fallbackSrc ??
+        this.sources?.get("light") ??
+        null
+      );
+    }
+
+    /**
+     * Lists every distinct icon source, the themed ones and data-src
+     *
+     * @returns {string[]}
+     */
+    getSourceUrls() {
+      const urls = new Set(this.sources?.values());
+      if (this.fallbackSrc) urls.add(this.fallbackSrc);
+      return [...urls];
+    }
+
+    /**
+     * Init the cache, null when Cache Storage is missing or refuses to open
+     * (insecure context, file://, old browsers).
+     * A data-cache-version opens the "<name>@<version>" bucket and deletes
+     * the buckets of older versions of the same name, once per page.
      *
      * @param {string | null} cacheName
-     * @return {Promise<Cache>}
+     * @param {string | null} version
+     * @return {Promise<Cache | null>}
+     */
+    initCache = async (cacheName, version) => {
+      if (typeof caches === "undefined") return null;
+      const bucket = version ? `${cacheName}@${version}` : `${cacheName}`;
+      try {
+        const cache = await caches.open(bucket);
+        if (version && !cleanedBuckets.has(bucket)) {
+          cleanedBuckets.add(bucket);
+          await this.deleteOldCaches(`${cacheName}`, version);
+        }
+        return cache;
+      } catch (error) {
+        console.warn("Cache Storage unavailable:", error);
+        return null;
+      }
+    };
+
+    /**
+     * Deletes the buckets left behind by older versions of the same name,
+     * the unversioned one included. Newer versions are kept, another tab
+     * may still run a newer deploy.
+     *
+     * @param {string} cacheName
+     * @param {string} version - the version in use
+     * @return {Promise<void>}
      */
-    initCache = async (cacheName) => {
-      return await caches.open(`${cacheName}`);
+    deleteOldCaches = async (cacheName, version) => {
+      const prefix = `${cacheName}@`;
+      const isOlder = (/** @type {string} */ bucket) =>
+        bucket === cacheName ||
+        (bucket.startsWith(prefix) &&
+          compareVersions(bucket.slice(prefix.length), version) < 0);
+      const buckets = await caches.keys();
+      await Promise.all(
+        buckets.filter(isOlder).map((bucket) => caches.delete(bucket)),
+      );
     };
 
     /**
-     * Get blob item(icon) from the cache
+     * Get the cached response of an icon
      *
      * @param {Cache} cachePromise
      * @param {string | null} key
-     * @return {Promise<Blob | null>}
+     * @return {Promise<Response | null>}
      */
     getCacheItem = async (cachePromise, key) => {
       const cache = cachePromise;
@@ -135,71 +959,309 @@ customElements.define(
         return null;
       }
 
-      return await response.blob();
+      return response;
+    };
+
+    /**
+     * Stores a response in the cache, stamped with the time it was stored
+     *
+     * @param {Cache} cache
+     * @param {string} key
+     * @param {Response} response
+     * @return {Promise<Blob>} the response body
+     */
+    setCacheItem = async (cache, key, response) => {
+      const blob = await response.blob();
+      await cache.put(key, createCachedResponse(blob, response.headers));
+      return blob;
     };
 
-    setCacheItem = async () => {};
+    /**
+     * Checks if a cached response is past data-max-age. Without a max age
+     * entries never go stale, unless data-stale-while-revalidate asks for a
+     * background check on every load.
+     *
+     * @param {Response} response
+     * @returns {boolean}
+     */
+    isStale(response) {
+      if (this.maxAge === null || this.maxAge === undefined) {
+        return this.staleWhileRevalidate === true;
+      }
+      const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+      if (!cachedAt) return true;
+      return Date.now() - cachedAt > this.maxAge * 1000;
+    }
 
     /**
-     * Initializes the icons to the cached icon or null
+     * Initializes the icons from the shared registry, the first instance to
+     * ask for a url checks the cache and fetches it, the others wait for it
+     *
+     * Aborting signal stops this instance waiting, the shared load keeps
+     * going for the other instances and is only canceled when none is left.
      *
      * @param {Cache} cache
-     * @param {string | null} srcLight
-     * @param {string | null} srcDark
+     * @param {string[]} sourceUrls
+     * @param {AbortSignal} [signal]
      */
-    initIcons = async (cache, srcLight, srcDark) => {
-      this.iconLight = await this.getIcon(cache, srcLight);
-      this.iconDark = await this.getIcon(cache, srcDark);
+    initIcons = async (cache, sourceUrls, signal) => {
+      await Promise.all(
+        sourceUrls.map(async (src) => {
+          const icon = await loadSharedIcon(
+            src,
+            async (shared) =>
+              (await this.getIcon(cache, src, shared)) ??
+              (await this.fetchIcon(src, cache, shared)),
+            signal,
+          );
+          if (signal?.aborted) return;
+          this.icons?.set(src, icon);
+          if (icon) retainSharedIcon(src, this);
+        }),
+      );
     };
 
     /**
-     * Gets the icons for the component, first checks local storage, will then
-     * fetch based on data-src* attributes. Will then save to local storage.
-     * Assigns the raw data to an icon variable as a Blob type.
+     * Parses and sanitizes the icon if it is an SVG, so it can be inlined
+     * into the shadow root instead of wrapped in an <img>
+     *
+     * @param {string} src
+     * @returns {Promise<void>}
+     */
+    async initSvg(src) {
+      this.svgs?.delete(src);
+      const icon = this.icons?.get(src);
+      if (!(icon instanceof Blob)) return;
+
+      const isSvg = icon.type
+        ? icon.type.startsWith("image/svg+xml")
+        : new URL(src, document.baseURI).pathname.endsWith(".svg");
+      if (!isSvg) return;
+
+      const svg = this.sanitizeSvg(await icon.text());
+      if (svg) {
+        this.svgs?.set(src, svg);
+      }
+    }
+
+    /**
+     * Parses SVG markup and keeps only what can't run code or load another
+     * resource: elements outside the SVG namespace, scripts,
+     * foreignObject, animations of hrefs and handlers, on* handlers,
+     * hrefs that don't point inside the document, any attribute whose
+     * value references a url and <style> elements that do are removed
+     *
+     * @param {string} text - the SVG markup
+     * @returns {SVGSVGElement | null} the sanitized <svg>, null if it doesn't parse
+     */
+    sanitizeSvg(text) {
+      const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+      const svg = doc.documentElement;
+      if (!(svg instanceof SVGSVGElement) || doc.querySelector("parsererror")) {
+        return null;
+      }
+
+      for (const el of svg.querySelectorAll("*")) {
+        if (
+          el.namespaceURI !== SVG_NAMESPACE ||
+          el.localName === "script" ||
+          el.localName === "foreignObject"
+        ) {
+          el.remove();
+        }
+      }
+
+      // Animations can set any attribute later, e.g. an href to javascript:
+      svg
+        .querySelectorAll("animate, set, animateMotion, animateTransform")
+        .forEach((el) => {
+          const target = (el.getAttribute("attributeName") || "").toLowerCase();
+          if (
+            target.startsWith("on") ||
+            target === "href" ||
+            target === "src" ||
+            target.endsWith(":href")
+          ) {
+            el.remove();
+          }
+        });
+
+      // A scheme or a protocol relative url at the start of any list item
+      const animatedUrl = /(?:^|;)\s*(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+      const animationValues = ["values", "to", "from", "by"];
+      for (const el of [svg, ...svg.querySelectorAll("*")]) {
+        for (const attr of [...el.attributes]) {
+          const name = attr.name.toLowerCase();
+          const value = attr.value.trim();
+          const isHref =
+            name === "href" || name === "xlink:href" || name === "src";
+          if (
+            name.startsWith("on") ||
+            name === "xml:base" ||
+            (isHref && !value.startsWith("#")) ||
+            (!isHref && hasExternalReference(value)) ||
+            (animationValues.includes(name) && animatedUrl.test(value))
+          ) {
+            el.removeAttribute(attr.name);
+          }
+        }
+      }
+
+      svg.querySelectorAll("style").forEach((style) => {
+        if (hasExternalReference(style.textContent || "")) {
+          style.remove();
+        }
+      });
+
+      return svg;
+    }
+
+    /**
+     * Gets the icon from the cache. Stale entries are revalidated first, or
+     * served right away and revalidated in the background with
+     * data-stale-while-revalidate.
      *
      * @param {Cache} cache
      * @param {string | null} iconSrc
+     * @param {AbortSignal} [signal]
      * @returns {Promise<Blob | null>}
      */
-    async getIcon(cache, iconSrc) {
-      const iconCache = this.getCacheItem(cache, iconSrc);
-      return iconCache;
+    async getIcon(cache, iconSrc, signal) {
+      const cached = await this.getCacheItem(cache, iconSrc);
+      if (!cached || iconSrc === null) return null;
+      if (!this.isStale(cached)) return await cached.blob();
+
+      if (this.staleWhileRevalidate) {
+        this.revalidateIcon(iconSrc, cache, cached.clone(), signal).then(
+          (blob) => {
+            if (blob) updateSharedIcon(iconSrc, blob);
+          },
+        );
+        return await cached.blob();
+      }
+      return await this.revalidateIcon(iconSrc, cache, cached, signal);
     }
 
     /**
-     * Fetch Icon from the server
+     * Asks the server if a cached icon changed, with the ETag and
+     * Last-Modified it was stored with. A 304 only refreshes the stored time.
+     * Falls back to the cached icon if the server can't be reached.
+     *
+     * @param {string} iconSrc
+     * @param {Cache} cache
+     * @param {Response} cached
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Blob | null>} the new icon, null if it didn't change
+     * and cached was served in the background or the sources changed, the
+     * cached icon otherwise
+     */
+    revalidateIcon = async (iconSrc, cache, cached, signal) => {
+      /** @type {Record<string, string>} */
+      const headers = {};
+      const etag = cached.headers.get("ETag");
+      if (etag) headers["If-None-Match"] = etag;
+      const lastModified = cached.headers.get("Last-Modified");
+      if (lastModified) headers["If-Modified-Since"] = lastModified;
+
+      try {
+        const response = await fetch(iconSrc, {
+          cache: "no-cache",
+          headers,
+          signal,
+        });
+        if (response.status === 304) {
+          const blob = await this.setCacheItem(cache, iconSrc, cached);
+          return this.staleWhileRevalidate ? null : blob;
+        }
+        if (!response.ok) {
+          throw new Error(`Failed to revalidate icon: ${response.statusText}`);
+        }
+        return await this.setCacheItem(cache, iconSrc, response);
+      } catch (error) {
+        if (signal?.aborted) return null;
+        console.warn("Error revalidating icon, using cached copy:", error);
+        return this.staleWhileRevalidate ? null : await cached.blob();
+      }
+    };
+
+    /**
+     * Passes icon-update from the registry on to replaceIcon, whichever
+     * instance did the background revalidation
+     *
+     * @param {Event} event
+     * @returns {void}
+     */
+    handleIconUpdate = (event) => {
+      const { src, blob } = /** @type {CustomEvent} */ (event).detail;
+      if (this.icons?.has(src)) this.replaceIcon(src, blob);
+    };
+
+    /**
+     * Swaps in an icon that changed on the server after a background
+     * revalidation, re-rendering it if it is showing
+     *
+     * @param {string} src
+     * @param {Blob} blob
+     * @returns {Promise<void>}
+     */
+    async replaceIcon(src, blob) {
+      if (!this.getSourceUrls().includes(src)) return;
+      this.getIconElement(src)?.remove();
+      this.icons?.set(src, blob);
+      await this.initSvg(src);
+      if (
+        typeof this.currentTheme === "string" &&
+        this.getSource(this.currentTheme) === src &&
+        this.iconHeight !== undefined &&
+        this.iconWidth !== undefined
+      ) {
+        this.insertIcon(this.iconHeight, this.iconWidth, this.currentTheme);
+      }
+    }
+
+    /**
+     * Fetch Icon from the server, retrying network errors and the statuses
+     * in RETRY_STATUSES with backoff, see getRetryPolicy
      *
      * @param {string | null} iconSrc
      * @param {Cache} cache
+     * @param {AbortSignal} [signal]
      * @returns {Promise<Blob | null>}
      */
-    fetchIcon = async (iconSrc, cache) => {
-      console.log(iconSrc);
+    fetchIcon = async (iconSrc, cache, signal) => {
       if (!iconSrc || !cache) {
         console.warn("Icon source or cache not available");
         return null;
       }
 
-      try {
-        const response = await fetch(iconSrc, { cache: "no-cache" });
-        if (!response.ok) {
-          throw new Error(`Failed to fetch icon: ${response.statusText}`);
-        }
+      const { retries, delay } = this.getRetryPolicy();
+      /** @type {unknown} */
+      let lastError = null;
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) await wait(delay * 2 ** (attempt - 1), signal);
+        if (signal?.aborted) return null;
 
-        // Clone the response for caching
-        const responseClone = response.clone();
-        await cache.put(iconSrc, responseClone);
-
-        // Return blob from the original response
-        return await response.blob();
-      } catch (error) {
-        console.error("Error fetching icon:", error);
-        return null;
+        try {
+          const response = await fetch(iconSrc, { cache: "no-cache", signal });
+          if (response.ok) {
+            // Cache the response, stamped for data-max-age, and return its blob
+            return await this.setCacheItem(cache, iconSrc, response);
+          }
+          lastError = new Error(`Failed to fetch icon: ${response.statusText}`);
+          if (!RETRY_STATUSES.has(response.status)) break;
+        } catch (error) {
+          if (signal?.aborted) return null;
+          lastError = error;
+        }
       }
+      console.error("Error fetching icon:", lastError);
+      return null;
     };
 
     /**
-     * Inserts both icons (light and dark) into the container unconditionally
+     * Shows the icon for the given theme, crossfading from the one shown.
+     * Every variant shown once stays in the container, stacked in the same
+     * box and hidden, so switching back reuses it and nothing shifts.
      *
      * @param {number} height
      * @param {number} width
@@ -212,133 +1274,295 @@ customElements.define(
       const container = this.shadowRoot.getElementById("icon-container");
       if (!container) return;
 
-      container.innerHTML = "";
+      const src = this.getSource(theme);
+      if (src === null) return;
 
-      if (theme === "light") {
-        if (this.iconLight instanceof Blob) {
-          if (
-            typeof this.iconWidth !== "number" ||
-            typeof this.iconHeight !== "number"
-          ) {
-            throw new Error(
-              "iconWidth and iconHeight must be set before calling insertIcon",
-            );
-          }
-          const lightImg = document.createElement("img");
-          const lightUrl = URL.createObjectURL(this.iconLight);
-          lightImg.onload = () => URL.revokeObjectURL(lightUrl);
-          lightImg.width = width;
-          lightImg.height = height;
-          lightImg.src = lightUrl;
-          lightImg.alt = "Light Icon";
-          lightImg.classList.add("fade-in");
-          container.appendChild(lightImg);
-          requestAnimationFrame(() => {
-            lightImg.classList.add("show");
-          });
+      let icon = this.getIconElement(src);
+      if (icon) {
+        this.applyLabel(icon, theme);
+      } else {
+        icon = this.createIconElement(height, width, theme, src);
+        container.appendChild(icon);
+      }
+      this.shownIcon = icon;
+
+      if (
+        icon instanceof SVGSVGElement ||
+        (icon.complete && icon.naturalWidth)
+      ) {
+        this.dispatchIconLoad(src);
+      } else {
+        this.setState("loading");
+      }
+
+      for (const child of container.children) {
+        if (child !== icon) child.classList.remove("show");
+      }
+      // Wait a frame so a new icon starts hidden and fades in, unless
+      // another theme was shown in the meantime
+      const shown = icon;
+      requestAnimationFrame(() => {
+        if (this.shownIcon === shown) shown.classList.add("show");
+      });
+    }
+
+    /**
+     * Finds the element already rendered for a source
+     *
+     * @param {string} src
+     * @returns {HTMLImageElement | SVGSVGElement | null}
+     */
+    getIconElement(src) {
+      const container = this.shadowRoot?.getElementById("icon-container");
+      for (const child of container?.children ?? []) {
+        if (
+          (child instanceof HTMLImageElement ||
+            child instanceof SVGSVGElement) &&
+          child.dataset.src === src
+        ) {
+          return child;
         }
       }
+      return null;
+    }
 
-      if (theme === "dark") {
-        if (this.iconDark instanceof Blob) {
-          if (
-            typeof this.iconWidth !== "number" ||
-            typeof this.iconHeight !== "number"
-          ) {
-            throw new Error(
-              "iconWidth and iconHeight must be set before calling insertIcon",
-            );
+    /**
+     * Creates the element of an icon, as inline SVG, as an <img> of the
+     * cached Blob, or as a plain <img src> when the icon couldn't be cached
+     * or fetched
+     *
+     * @param {number} height
+     * @param {number} width
+     * @param {string} theme
+     * @param {string} src
+     * @returns {HTMLImageElement | SVGSVGElement}
+     */
+    createIconElement(height, width, theme, src) {
+      const svg = this.svgs?.get(src);
+      const icon = this.icons?.get(src);
+      if (svg) {
+        const inlineSvg = /** @type {SVGSVGElement} */ (svg.cloneNode(true));
+        inlineSvg.setAttribute("width", String(width));
+        inlineSvg.setAttribute("height", String(height));
+        inlineSvg.dataset.src = src;
+        this.applyLabel(inlineSvg, theme);
+        inlineSvg.classList.add("fade-in");
+        return inlineSvg;
+      }
+
+      const img = document.createElement("img");
+      img.onload = () => {
+        if (this.shownIcon === img) this.dispatchIconLoad(src);
+      };
+      if (icon instanceof Blob) {
+        img.onerror = () => this.handleImageError(img, src);
+        img.src = retainIconUrl(src, this, icon);
+      } else {
+        // Without a cached Blob the browser loads the url, retried as well
+        // unless fetchIcon already spent the retries on it (icon is null)
+        const { retries, delay } =
+          icon === null ? { retries: 0, delay: 0 } : this.getRetryPolicy();
+        let attempt = 0;
+        img.onerror = () => {
+          if (attempt >= retries || !img.isConnected) {
+            this.handleImageError(img, src);
+            return;
           }
-          const darkImg = document.createElement("img");
-          const darkUrl = URL.createObjectURL(this.iconDark);
-          darkImg.onload = () => URL.revokeObjectURL(darkUrl);
-          darkImg.width = this.iconWidth;
-          darkImg.height = this.iconHeight;
-          darkImg.src = darkUrl;
-          darkImg.alt = "Dark Icon";
-          darkImg.classList.add("fade-in");
-          container.appendChild(darkImg);
-          requestAnimationFrame(() => {
-            darkImg.classList.add("show");
-          });
+          setTimeout(
+            () => {
+              img.src = src;
+            },
+            delay * 2 ** attempt++,
+          );
+        };
+        img.src = src;
+      }
+      img.width = width;
+      img.height = height;
+      img.dataset.src = src;
+      this.applyLabel(img, theme);
+      img.classList.add("fade-in");
+      return img;
+    }
+
+    /**
+     * Removes an image that failed for good, so showing its theme again
+     * tries again, and shows the error slot if it was the shown icon
+     *
+     * @param {HTMLImageElement} img
+     * @param {string} src
+     * @returns {void}
+     */
+    handleImageError(img, src) {
+      img.remove();
+      const error = new Error(`Failed to load icon: ${src}`);
+      if (this.shownIcon === img) this.showError(error, src);
+      else this.dispatchIconError(error, src);
+    }
+
+    /**
+     * Reads data-transition-duration in ms and data-transition-easing,
+     * falling back to the defaults when missing or invalid
+     *
+     * @returns {{ duration: number, easing: string }}
+     */
+    getTransition() {
+      const duration = parseInt(
+        this.getAttribute("data-transition-duration") || "",
+        10,
+      );
+      const easing = this.getAttribute("data-transition-easing") || "";
+      return {
+        duration:
+          isNaN(duration) || duration < 0
+            ? DEFAULT_TRANSITION_DURATION
+            : duration,
+        easing: /^[a-z0-9\-(),.\s]+$/i.test(easing)
+          ? easing
+          : DEFAULT_TRANSITION_EASING,
+      };
+    }
+
+    /**
+     * Resolves the alt text of a theme's icon: data-alt-<theme>, then
+     * data-alt, then "<Theme> Icon"
+     *
+     * @param {string} theme
+     * @returns {string}
+     */
+    getAltText(theme) {
+      return (
+        this.getAttribute(`data-alt-${theme}`) ??
+        this.getAttribute("data-alt") ??
+        `${theme.charAt(0).toUpperCase()}${theme.slice(1)} Icon`
+      );
+    }
+
+    /**
+     * Describes the shown icon: its alt text, or hidden from assistive
+     * technology when the host is decorative, and the host's title as a
+     * tooltip
+     *
+     * @param {HTMLImageElement | SVGSVGElement} icon
+     * @param {string} theme
+     * @returns {void}
+     */
+    applyLabel(icon, theme) {
+      const decorative = this.hasAttribute("decorative");
+      const alt = decorative ? "" : this.getAltText(theme);
+      const title = this.getAttribute("title");
+
+      if (icon instanceof HTMLImageElement) {
+        icon.alt = alt;
+        if (title !== null) icon.title = title;
+        else icon.removeAttribute("title");
+      } else {
+        icon.querySelector(":scope > title[data-tooltip]")?.remove();
+        if (title !== null) {
+          const tooltip = document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "title",
+          );
+          tooltip.setAttribute("data-tooltip", "");
+          tooltip.textContent = title;
+          icon.prepend(tooltip);
+        }
+        if (decorative) {
+          icon.removeAttribute("role");
+          icon.removeAttribute("aria-label");
+        } else {
+          icon.setAttribute("role", "img");
+          icon.setAttribute("aria-label", alt);
+        }
+      }
+
+      if (decorative) icon.setAttribute("aria-hidden", "true");
+      else icon.removeAttribute("aria-hidden");
+    }
+
+    /**
+     * Re-describes the shown icon after data-alt, decorative or title changed
+     *
+     * @returns {void}
+     */
+    updateLabel() {
+      const icon = this.shadowRoot?.querySelector(
+        "#icon-container > img.show, #icon-container > svg.show",
+      );
+      if (
+        typeof this.currentTheme === "string" &&
+        (icon instanceof HTMLImageElement || icon instanceof SVGSVGElement)
+      ) {
+        this.applyLabel(icon, this.currentTheme);
+      }
+    }
+
+    /**
+     * Finds the element whose data-theme applies to this icon, the nearest
+     * ancestor with the attribute, looking through shadow roots. Falls back
+     * to the <html> element.
+     *
+     * @returns {Element}
+     */
+    getThemeRoot() {
+      /** @type {Node | null} */
+      let node = this.parentNode;
+      while (node) {
+        if (node instanceof Element && node.hasAttribute("data-theme")) {
+          return node;
         }
+        node = node instanceof ShadowRoot ? node.host : node.parentNode;
       }
+      return document.documentElement;
     }
 
     /**
-     * Ensures that the <html> element has the data-theme attribute.
-     * If missing, it sets it based on the user's system preference.
+     * Reads the theme from the nearest themed ancestor.
+     * If none is themed, it uses the user's system preference without
+     * writing it anywhere, the page owns its data-theme attributes.
      * Defaults to "light" if no preference is detected.
      *
-     * @returns {string} The current theme, either "light" or "dark"
+     * @returns {string} The current theme, "light", "dark" or a named theme
      */
     getSystemTheme() {
       /** @type {string | null}**/
-      let theme = document.documentElement.getAttribute("data-theme");
+      const theme = this.getThemeRoot().getAttribute("data-theme");
+      if (theme !== null) return theme;
 
-      if (theme === null) {
-        /** @type {boolean}**/
-        const prefersDark =
-          window.matchMedia &&
-          window.matchMedia("(prefers-color-scheme: dark)").matches;
+      /** @type {boolean}**/
+      const prefersDark =
+        window.matchMedia &&
+        window.matchMedia("(prefers-color-scheme: dark)").matches;
 
-        /** @type {string}**/
-        theme = prefersDark ? "dark" : "light";
-
-        document.documentElement.setAttribute("data-theme", theme);
-      }
-
-      return theme;
+      return prefersDark ? "dark" : "light";
     }
 
     /**
-     * Observes changes to specific attributes of the custom element (e.g., `data-active`).
-     * Adjusts which icon to display based on these attribute changes.
+     * Observes data-theme anywhere in the document, since a closer ancestor
+     * can be themed or unthemed at any time, and shows the icon for the
+     * theme of the nearest themed ancestor when it changes.
      */
     observeAttributes() {
-      this.observer = new MutationObserver((mutationsList) => {
-        for (const mutation of mutationsList) {
-          if (mutation.type === "attributes") {
-            /** @type {string | null}**/
-            const theme = document.documentElement.getAttribute("data-theme");
-            if (this.currentTheme !== undefined && theme !== null) {
-              this.currentTheme = theme;
-            }
+      this.observer = new MutationObserver(async () => {
+        /** @type {string}**/
+        const theme = this.getSystemTheme();
+        if (theme === this.currentTheme) return;
+        this.currentTheme = theme;
 
-            // Hide or show the icon based on the attribute
-            if (theme === "light") {
-              if (
-                this.iconHeight !== undefined &&
-                this.iconWidth !== undefined &&
-                this.currentTheme !== undefined
-              ) {
-                this.insertIcon(
-                  this.iconHeight,
-                  this.iconWidth,
-                  this.currentTheme,
-                );
-              }
-            } else if (theme === "dark") {
-              if (
-                this.iconHeight !== undefined &&
-                this.iconWidth !== undefined &&
-                this.currentTheme !== undefined
-              ) {
-                this.insertIcon(
-                  this.iconHeight,
-                  this.iconWidth,
-                  this.currentTheme,
-                );
-              }
-            }
-          }
+        // A lazy icon may not have loaded this theme's variant yet
+        const src = this.getSource(theme);
+        if (src !== null) await this.loadIcons([src]);
+        if (theme !== this.currentTheme) return;
+
+        if (this.iconHeight !== undefined && this.iconWidth !== undefined) {
+          this.insertIcon(this.iconHeight, this.iconWidth, theme);
         }
       });
 
-      // Observe changes to 'data-hidden' and 'data-active' attributes
       this.observer.observe(document.documentElement, {
         attributes: true,
         attributeFilter: ["data-theme"],
+        subtree: true,
       });
     }
 
@@ -352,25 +1576,75 @@ customElements.define(
       const height = this.getDimensionAttribute(this, "data-height", 64);
       /** @type {number} **/
       const width = this.getDimensionAttribute(this, "data-width", 64);
+      const { duration, easing } = this.getTransition();
 
       if (this.shadowRoot != null) {
         this.shadowRoot.innerHTML = `
           <style>
             .icon-container {
+              position: relative;
               height: ${height}px;
               width: ${width}px;
             }
 
+            /* Variants are stacked in the same box, the hidden ones become
+               invisible to assistive technology once faded out */
+            .icon-container > * {
+              position: absolute;
+              inset: 0;
+            }
+
             .fade-in {
               opacity: 0;
-              transition: opacity 0.6s ease-in-out;
+              visibility: hidden;
+              transition:
+                opacity ${duration}ms ${easing},
+                visibility 0s linear ${duration}ms;
             }
 
             .fade-in.show {
               opacity: 1;
+              visibility: visible;
+              transition:
+                opacity ${duration}ms ${easing},
+                visibility 0s;
+            }
+
+            @media (prefers-reduced-motion: reduce) {
+              .fade-in,
+              .fade-in.show {
+                transition: none;
+              }
+            }
+
+            svg {
+              display: block;
+            }
+
+            /* The placeholder shows until the icon is ready, the error slot
+               when it failed for good */
+            slot {
+              display: none;
+            }
+
+            [data-state="loading"] > slot[name="placeholder"],
+            [data-state="error"] > slot[name="error"] {
+              display: block;
+            }
+
+            /* data-recolor paints inline SVGs with the host's color */
+            :host([data-recolor]) svg :not([fill="none"]) {
+              fill: currentColor;
+            }
+
+            :host([data-recolor]) svg [stroke]:not([stroke="none"]) {
+              stroke: currentColor;
             }
           </style>
-          <div id="icon-container" class="icon-container"></div>
+          <div id="icon-container" class="icon-container" data-state="loading">
+            <slot name="placeholder"></slot>
+            <slot name="error"></slot>
+          </div>
         `;
       }
     }
@@ -1,12 +1,753 @@
 // @ts-check
 
+/**
+ * @typedef {Object} ThemeStorage
+ * @property {(key: string) => string | null} getItem
+ * @property {(key: string, value: string) => void} setItem
+ */
+
+/**
+ * A theme name ("light", "dark", "sepia", ...) or "system"
+ *
+ * @typedef {string} ThemeMode
+ */
+
+/**
+ * Where a theme change came from
+ *
+ * @typedef {'click' | 'keyboard' | 'api' | 'attribute' | 'sync' | 'system' | 'schedule'} ThemeChangeSource
+ */
+
+/**
+ * Detail of the theme-change event
+ *
+ * @typedef {Object} ThemeChangeDetail
+ * @property {string | null} previous - the theme applied before the change
+ * @property {string} next - the theme about to be applied
+ * @property {ThemeMode} mode - the mode about to become active
+ * @property {ThemeChangeSource} source - what triggered the change
+ */
+
+/**
+ * @typedef {'circle' | 'fade' | 'none'} ThemeTransition
+ */
+
+/**
+ * Custom property values of a theme, keyed by the property name without the
+ * leading "--", e.g. { base: "#ffffff", text: "#000000" }
+ *
+ * @typedef {Record<string, string>} ThemeTokens
+ */
+
+/**
+ * @typedef {Object} ThemeIcon
+ * @property {string} tagName - the custom element rendered for the theme
+ * @property {string} eventName - the event the element dispatches on click
+ */
+
+/** Storage key used when no storage-key attribute is set */
+const DEFAULT_STORAGE_KEY = "theme";
+
+/** Characters escaped in the options embedded by getThemeBootstrapScript */
+const SCRIPT_UNSAFE_CHARACTERS = /[<>&\u2028\u2029]/g;
+
+/** BroadcastChannel name shared by every tab of the app */
+const THEME_CHANNEL_NAME = "toggle-theme";
+
+/** Media query matching an OS level dark color scheme */
+const DARK_SCHEME_QUERY = "(prefers-color-scheme: dark)";
+
+/** Media query matching an OS level request for less motion */
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+/**
+ * Animations available through the transition attribute
+ *
+ * @type {ThemeTransition[]}
+ */
+const THEME_TRANSITIONS = ["circle", "fade", "none"];
+
+/** Duration of the view transition reveal, matches the icon animation */
+const TRANSITION_DURATION = 500;
+
+/** Id of the document level style that disables the default crossfade */
+const TRANSITION_STYLE_ID = "toggle-theme-transition";
+
+/** Accessible name of the toggle when no label attribute is set */
+const DEFAULT_LABEL = "Theme";
+
+/**
+ * Accessible names of the built in modes, label-<mode> attributes override
+ * them, other themes use their capitalized name
+ *
+ * @type {Record<string, string>}
+ */
+const MODE_LABELS = { light: "Light", dark: "Dark", system: "System" };
+
+/** How often auto="schedule" checks whether the theme should switch */
+const SCHEDULE_INTERVAL = 60 * 1000;
+
+/** Local times used by auto="schedule" without day-start / night-start */
+const DEFAULT_DAY_START = "07:00";
+const DEFAULT_NIGHT_START = "19:00";
+
+/** Mode that follows the OS color scheme */
+const SYSTEM_MODE = "system";
+
+/** Themes used when no themes attribute is set */
+const DEFAULT_THEMES = ["light", "dark"];
+
+/** Theme names end up in attributes and selectors, keep them simple */
+const THEME_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Icon elements by theme, themes without an entry fall back to icon-theme
+ *
+ * @type {Map<string, ThemeIcon>}
+ */
+const themeIcons = new Map([
+  ["light", { tagName: "icon-sun", eventName: "clicked-sun" }],
+  ["dark", { tagName: "icon-moon", eventName: "clicked-moon" }],
+  [SYSTEM_MODE, { tagName: "icon-system", eventName: "clicked-system" }],
+]);
+
+/** @type {ThemeIcon} */
+const FALLBACK_ICON = { tagName: "icon-theme", eventName: "clicked-theme" };
+
+/**
+ * Tokens that don't change between themes, every registered theme starts
+ * from these
+ *
+ * - font-title: headings in the hamburger menu overlay
+ * - text-3xl: font size of the hamburger menu links
+ * - p-xs: padding inside the hamburger icon
+ *
+ * @type {ThemeTokens}
+ */
+const BASE_TOKENS = {
+  "font-title": "'Arial Black', Impact, sans-serif",
+  "text-3xl": "1.875rem",
+  "p-xs": "0.25rem",
+};
+
+/**
+ * Token values by theme, applied as custom properties on the theme target.
+ * The defaults cover every color the components consume:
+ *
+ * - base: page and control background, hamburger icon fill
+ * - text: text and lines drawn on base, hamburger icon lines and border
+ * - main: primary brand color, hamburger menu overlay, hex spinner
+ * - sub: secondary color, hard shadows, hex spinner
+ * - accent: highlights, system icon, hex spinner, focus ring
+ * - success: moon icon
+ * - warn: sun icon
+ *
+ * @type {Map<string, ThemeTokens>}
+ */
+const themeTokens = new Map([
+  [
+    "light",
+    {
+      ...BASE_TOKENS,
+      base: "#ffffff",
+      text: "#000000",
+      main: "#6c5ce7",
+      sub: "#2d3436",
+      accent: "#e84393",
+      success: "#2e7d32",
+      warn: "#f39c12",
+    },
+  ],
+  [
+    "dark",
+    {
+      ...BASE_TOKENS,
+      base: "#121212",
+      text: "#f0f0f0",
+      main: "#a29bfe",
+      sub: "#636e72",
+      accent: "#fd79a8",
+      success: "#55efc4",
+      warn: "#ffd166",
+    },
+  ],
+]);
+
+/**
+ * Custom property names applied to each target, so tokens of the previous
+ * theme can be removed when switching
+ *
+ * @type {WeakMap<Element, string[]>}
+ */
+const appliedTokens = new WeakMap();
+
+/**
+ * Default storage adapter, wraps localStorage and swallows the errors thrown
+ * when storage is blocked (private browsing, sandboxed iframes, file://)
+ *
+ * @type {ThemeStorage}
+ */
+export const localThemeStorage = {
+  getItem(key) {
+    try {
+      return window.localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  },
+  setItem(key, value) {
+    try {
+      window.localStorage.setItem(key, value);
+    } catch {
+      // storage unavailable, the theme simply won't persist
+    }
+  },
+};
+
+/** @type {ThemeStorage} */
+let themeStorage = localThemeStorage;
+
+/**
+ * Toggles in the document, they re-read their stored mode when the storage
+ * adapter is swapped
+ *
+ * @type {Set<{ restoreMode(): void }>}
+ */
+const connectedToggles = new Set();
+
+/**
+ * Swaps the storage adapter used to persist the theme, anything with
+ * getItem/setItem works (sessionStorage, a cookie wrapper, an in-memory map)
+ * Every connected toggle then applies the mode stored under its own key to
+ * its own target
+ *
+ * @param {ThemeStorage} storage - the storage adapter
+ * @returns {void}
+ */
+export function setThemeStorage(storage) {
+  themeStorage = storage;
+  connectedToggles.forEach((toggle) => toggle.restoreMode());
+}
+
+/**
+ * Registers the icon element shown while a theme is active. The element gets
+ * data-active="true" | "false" from toggle-theme, should render a child with
+ * the "icon" class and dispatch eventName when clicked
+ *
+ * @param {string} theme - the theme name
+ * @param {string} tagName - the custom element tag name
+ * @param {string} [eventName] - the click event, defaults to "clicked-<theme>"
+ * @returns {void}
+ */
+export function registerThemeIcon(
+  theme,
+  tagName,
+  eventName = `clicked-${theme}`,
+) {
+  themeIcons.set(theme, { tagName, eventName });
+}
+
+/**
+ * Registers the token values of a theme, missing tokens fall back to the
+ * shared defaults (fonts and spacing), registering an existing theme
+ * replaces its tokens
+ *
+ * @param {string} theme - the theme name
+ * @param {ThemeTokens} tokens - custom property values without the "--"
+ * @returns {void}
+ */
+export function registerTheme(theme, tokens) {
+  themeTokens.set(theme, { ...BASE_TOKENS, ...tokens });
+}
+
+/**
+ * Returns the registered token values of a theme
+ *
+ * @param {string} theme - the theme name
+ * @returns {ThemeTokens | null} a copy of the tokens, null if not registered
+ */
+export function getThemeTokens(theme) {
+  const tokens = themeTokens.get(theme);
+  return tokens ? { ...tokens } : null;
+}
+
+/**
+ * Sets the theme's tokens as custom properties on the target and removes
+ * those of the previous theme. Themes without registered tokens leave
+ * styling to the page's own CSS.
+ *
+ * @param {Element} target - the theme target
+ * @param {string} theme - the theme being applied
+ * @returns {void}
+ */
+export function applyThemeTokens(target, theme) {
+  if (!(target instanceof HTMLElement)) return;
+
+  const tokens = themeTokens.get(theme) || {};
+  for (const name of appliedTokens.get(target) || []) {
+    if (!(name in tokens)) target.style.removeProperty(`--${name}`);
+  }
+  for (const [name, value] of Object.entries(tokens)) {
+    target.style.setProperty(`--${name}`, value);
+  }
+  appliedTokens.set(target, Object.keys(tokens));
+}
+
+/**
+ * Checks if a value can be used as a theme name
+ *
+ * @param {unknown} value - the value to check
+ * @returns {value is string}
+ */
+function isThemeName(value) {
+  return typeof value === "string" && THEME_NAME_PATTERN.test(value);
+}
+
+/**
+ * View transition pseudo elements can only be styled from the document,
+ * adds a style that turns off the default crossfade while a circle reveal
+ * runs, html gets data-theme-transition="circle" for its duration
+ *
+ * @returns {void}
+ */
+function addTransitionStyle() {
+  if (document.getElementById(TRANSITION_STYLE_ID)) return;
+  const style = document.createElement("style");
+  style.id = TRANSITION_STYLE_ID;
+  style.textContent = `
+    html[data-theme-transition="circle"]::view-transition-old(root),
+    html[data-theme-transition="circle"]::view-transition-new(root) {
+      animation: none;
+      mix-blend-mode: normal;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Finds the closest ancestor with a data-theme attribute, crossing shadow
+ * root boundaries, falls back to the <html> element
+ *
+ * @param {Element} element - the element to start from, not checked itself
+ * @returns {Element}
+ */
+function closestThemedAncestor(element) {
+  /** @type {Node | null} */
+  let node = element.parentNode;
+  while (node) {
+    if (node instanceof Element && node.hasAttribute("data-theme")) {
+      return node;
+    }
+    node = node instanceof ShadowRoot ? node.host : node.parentNode;
+  }
+  return document.documentElement;
+}
+
+/**
+ * Reads the OS color scheme preference
+ *
+ * @returns {'light' | 'dark'} "dark" if the OS prefers dark, "light" otherwise
+ */
+export function getSystemTheme() {
+  return window.matchMedia?.(DARK_SCHEME_QUERY).matches ? "dark" : "light";
+}
+
+/**
+ * Resolves a mode to the theme that should be applied
+ *
+ * @param {ThemeMode} mode - the active mode
+ * @returns {string} the theme to set on the theme target
+ */
+export function resolveTheme(mode) {
+  return mode === SYSTEM_MODE ? getSystemTheme() : mode;
+}
+
+/**
+ * Parses a local "HH:MM" time into minutes after midnight
+ *
+ * @param {string | null} time - the time, e.g. "07:30"
+ * @returns {number | null} the minutes, null if the time is invalid
+ */
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || "");
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Computes sunrise and sunset for a day and place with the sunrise equation
+ * (the algorithm behind SunCalc), accurate to a minute or two, no network
+ *
+ * @param {Date} date - any time on the day
+ * @param {number} latitude - degrees, north positive
+ * @param {number} longitude - degrees, east positive
+ * @returns {{ sunrise: Date, sunset: Date } | 'polar-day' | 'polar-night'}
+ * the times, or which polar case applies when the sun doesn't rise or set
+ */
+export function getSunTimes(date, latitude, longitude) {
+  const rad = Math.PI / 180;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const J1970 = 2440588;
+  const J2000 = 2451545;
+
+  const lw = rad * -longitude;
+  const phi = rad * latitude;
+  const days = date.valueOf() / dayMs - 0.5 + J1970 - J2000;
+  const cycle = Math.round(days - 0.0009 - lw / (2 * Math.PI));
+  const transit = 0.0009 + lw / (2 * Math.PI) + cycle;
+
+  const anomaly = rad * (357.5291 + 0.98560028 * transit);
+  const center =
+    rad *
+    (1.9148 * Math.sin(anomaly) +
+      0.02 * Math.sin(2 * anomaly) +
+      0.0003 * Math.sin(3 * anomaly));
+  const eclipticLongitude = anomaly + center + rad * 102.9372 + Math.PI;
+  const declination = Math.asin(
+    Math.sin(rad * 23.4397) * Math.sin(eclipticLongitude),
+  );
+
+  const cosHourAngle =
+    (Math.sin(rad * -0.833) - Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+  if (cosHourAngle > 1) return "polar-night";
+  if (cosHourAngle < -1) return "polar-day";
+
+  const hourAngle = Math.acos(cosHourAngle);
+  /** @param {number} t */
+  const solarTime = (t) =>
+    J2000 +
+    t +
+    0.0053 * Math.sin(anomaly) -
+    0.0069 * Math.sin(2 * eclipticLongitude);
+  const noon = solarTime(transit);
+  const set = solarTime(0.0009 + (hourAngle + lw) / (2 * Math.PI) + cycle);
+  const rise = noon - (set - noon);
+
+  /** @param {number} julian */
+  const toDate = (julian) => new Date((julian + 0.5 - J1970) * dayMs);
+  return { sunrise: toDate(rise), sunset: toDate(set) };
+}
+
+/**
+ * Reads the persisted mode from the current storage adapter
+ *
+ * @param {string} [key] - the storage key, defaults to "theme"
+ * @returns {ThemeMode | null} the stored mode or null if nothing was saved
+ */
+export function getStoredMode(key = DEFAULT_STORAGE_KEY) {
+  const mode = themeStorage.getItem(key);
+  return isThemeName(mode) ? mode : null;
+}
+
+/**
+ * Applies the theme resolved from the persisted mode to the <html> element,
+ * if there is one
+ *
+ * @param {string} [key] - the storage key, defaults to "theme"
+ * @returns {void}
+ */
+export function restoreTheme(key = DEFAULT_STORAGE_KEY) {
+  const storedMode = getStoredMode(key);
+  if (storedMode !== null) {
+    const theme = resolveTheme(storedMode);
+    document.documentElement.setAttribute("data-theme", theme);
+    applyThemeTokens(document.documentElement, theme);
+  }
+}
+
+/**
+ * @typedef {Object} ThemeBootstrapOptions
+ * @property {string} [storageKey] - the storage key, defaults to "theme"
+ * @property {string} [target] - selector of the theme target, defaults to <html>
+ * @property {string} [defaultMode] - mode used when nothing is stored
+ * @property {Record<string, ThemeTokens>} [tokens] - token values by theme
+ */
+
+/**
+ * Applies the persisted or system theme synchronously, meant to run inline
+ * in <head> before the first paint, see getThemeBootstrapScript.
+ * It is serialized with toString, so it can't use anything from this module
+ * and only reads localStorage, custom storage adapters aren't available yet.
+ * Sets data-theme-mode next to data-theme so toggle-theme knows the theme
+ * came from "system" and keeps following the OS.
+ *
+ * @param {ThemeBootstrapOptions} [options]
+ * @returns {void}
+ */
+export function bootstrapTheme(options = {}) {
+  var target = options.target
+    ? document.querySelector(options.target)
+    : document.documentElement;
+  if (!target) return;
+
+  var mode = null;
+  try {
+    mode = window.localStorage.getItem(options.storageKey || "theme");
+  } catch (e) {
+    // storage blocked, fall through to the page or system theme
+  }
+
+  var theme = target.getAttribute("data-theme");
+  if (mode || !theme) {
+    mode = mode || options.defaultMode || "system";
+    if (!/^[a-z][a-z0-9-]*$/.test(mode)) return;
+
+    var prefersDark =
+      window.matchMedia &&
+      window.matchMedia("(prefers-color-scheme: dark)").matches;
+    theme = mode === "system" ? (prefersDark ? "dark" : "light") : mode;
+
+    target.setAttribute("data-theme", theme);
+    target.setAttribute("data-theme-mode", mode);
+  }
+
+  var tokens = options.tokens && theme ? options.tokens[theme] : null;
+  if (tokens && target instanceof HTMLElement) {
+    for (var name in tokens) {
+      target.style.setProperty("--" + name, tokens[name]);
+    }
+  }
+}
+
+/**
+ * Returns bootstrapTheme as a self invoking script, to be templated into a
+ * <script> tag in <head> by the server or the build. Embeds the tokens of
+ * every registered theme unless options.tokens is given.
+ * The options are escaped so a value containing </script> or <!-- can't end
+ * the tag.
+ *
+ * @param {ThemeBootstrapOptions} [options]
+ * @returns {string} the inline script source
+ */
+export function getThemeBootstrapScript(options = {}) {
+  const tokens = options.tokens ?? Object.fromEntries(themeTokens);
+  const json = JSON.stringify({ ...options, tokens }).replace(
+    SCRIPT_UNSAFE_CHARACTERS,
+    (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`,
+  );
+  return `(${bootstrapTheme.toString()})(${json});`;
+}
+
+/**
+ * <toggle-theme> switches between the themes and "system" and writes
+ * data-theme to its target.
+ *
+ * Note: mode changes are announced through a live region outside the
+ * element, as switch and button roles hide the ones inside them. Point the
+ * status attribute at the id of a role="status" element on the page to use
+ * it, otherwise a visually hidden <span role="status"> is inserted as the
+ * next sibling of the element and removed with it. Keep that in mind for
+ * parents styled by child count or position, e.g. :last-child or flex gaps.
+ */
 customElements.define(
   "toggle-theme",
   class extends HTMLElement {
+    static observedAttributes = ["mode", "themes", "target", "auto"];
+
     constructor() {
       super();
-      this.attachShadow({ mode: "open" });
+      // a server rendered declarative shadow root is already attached
+      if (!this.shadowRoot) {
+        this.attachShadow({ mode: "open" });
+      }
+      /** @type {MutationObserver | null} */
       this.observer = null;
+      /** @type {BroadcastChannel | null} */
+      this.channel = null;
+      /** @type {MediaQueryList | null} */
+      this.mediaQuery = null;
+      /** @type {ThemeMode} */
+      this.currentMode = SYSTEM_MODE;
+      /** @type {{ icon: Element, eventName: string }[]} */
+      this.iconListeners = [];
+      /** @type {ReturnType<typeof setInterval> | null} */
+      this.scheduleTimer = null;
+      /**
+       * The scheduled theme when the user last picked a theme by hand, the
+       * schedule waits until it moves on to another theme. Persisted under
+       * overrideKey so it survives a reload.
+       *
+       * @type {string | null}
+       */
+      this.scheduleOverride = null;
+      /**
+       * Set once connectedCallback picked the initial mode, attribute
+       * callbacks fired while the element upgrades are ignored until then
+       *
+       * @type {boolean}
+       */
+      this.initialized = false;
+      /**
+       * The live region announcing mode changes, the page's element named by
+       * the status attribute or one inserted as a sibling of the host, since
+       * switch and button roles hide the live regions inside them
+       *
+       * @type {HTMLElement | null}
+       */
+      this.statusRegion = null;
+      /**
+       * Whether statusRegion was inserted by this toggle and is removed with it
+       *
+       * @type {boolean}
+       */
+      this.ownsStatusRegion = false;
+    }
+
+    /**
+     * Storage key for this toggle, read from the storage-key attribute
+     *
+     * @returns {string}
+     */
+    get storageKey() {
+      return this.getAttribute("storage-key") || DEFAULT_STORAGE_KEY;
+    }
+
+    /**
+     * Storage key of the persisted schedule override, next to storageKey
+     *
+     * @returns {string}
+     */
+    get overrideKey() {
+      return `${this.storageKey}-override`;
+    }
+
+    /**
+     * The element that gets the data-theme attribute, from the target
+     * attribute: a CSS selector, or "closest" for the closest ancestor that
+     * already has data-theme. Defaults to the <html> element, null when the
+     * selector matches nothing.
+     * Scoped toggles should also set their own storage-key, otherwise they
+     * share the persisted mode with the toggle for <html>.
+     *
+     * @returns {Element | null}
+     */
+    get themeTarget() {
+      const target = this.getAttribute("target");
+      if (!target) return document.documentElement;
+      if (target === "closest") return closestThemedAncestor(this);
+      try {
+        return document.querySelector(target);
+      } catch {
+        return null;
+      }
+    }
+
+    /**
+     * Accessible name of the toggle, from the label attribute, translate it
+     * together with the label-<mode> attributes
+     *
+     * @returns {string}
+     */
+    get label() {
+      return this.getAttribute("label") || DEFAULT_LABEL;
+    }
+
+    /**
+     * The animation used when the theme changes, from the transition
+     * attribute: "circle", "fade" or "none" (default)
+     *
+     * @returns {ThemeTransition}
+     */
+    get transition() {
+      const transition = this.getAttribute("transition");
+      return THEME_TRANSITIONS.find((t) => t === transition) || "none";
+    }
+
+    /**
+     * The themes a click cycles through, read from the space separated
+     * themes attribute, defaults to light and dark
+     *
+     * @returns {string[]}
+     */
+    get themes() {
+      const themes = (this.getAttribute("themes") || "")
+        .split(/\s+/)
+        .filter(isThemeName);
+      return themes.length > 0 ? themes : [...DEFAULT_THEMES];
+    }
+
+    /**
+     * Sets the themes, reflected to the themes attribute
+     *
+     * @param {string[]} value - the theme names
+     */
+    set themes(value) {
+      this.setAttribute("themes", value.filter(isThemeName).join(" "));
+    }
+
+    /**
+     * Every mode the toggle can be in, the themes plus "system" when both
+     * light and dark are available to resolve to
+     *
+     * @returns {ThemeMode[]}
+     */
+    get modes() {
+      const themes = this.themes;
+      if (themes.includes("light") && themes.includes("dark")) {
+        return [...themes, SYSTEM_MODE];
+      }
+      return themes;
+    }
+
+    /**
+     * The active mode, one of the themes or "system"
+     *
+     * @returns {ThemeMode}
+     */
+    get mode() {
+      return this.currentMode;
+    }
+
+    /**
+     * Switches to the given mode, unknown modes are ignored
+     *
+     * @param {ThemeMode} value - the mode to switch to
+     */
+    set mode(value) {
+      if (!this.isMode(value)) return;
+      this.saveMode(value, "api");
+    }
+
+    /**
+     * The theme applied to the theme target, the OS preference when the
+     * mode is "system"
+     *
+     * @returns {string}
+     */
+    get resolvedTheme() {
+      return resolveTheme(this.currentMode);
+    }
+
+    /**
+     * The theme applied to the theme target
+     *
+     * @returns {string}
+     */
+    get theme() {
+      return this.resolvedTheme;
+    }
+
+    /**
+     * Switches to the given theme, "system" is accepted as well, unknown
+     * themes are ignored
+     *
+     * @param {string} value - the theme to switch to
+     */
+    set theme(value) {
+      this.mode = value;
+    }
+
+    /**
+     * Moves to the next mode, the same as clicking the visible icon
+     *
+     * @returns {ThemeMode} the active mode, unchanged if the change was canceled
+     */
+    toggle() {
+      return this.cycleMode("api");
     }
 
     /**
@@ -15,9 +756,73 @@ customElements.define(
      * @returns {void}
      */
     connectedCallback() {
-      this.setSystemTheme();
-      this.render();
+      if (this.themeTarget === null) {
+        console.warn(
+          `toggle-theme: target "${this.getAttribute("target")}" not found`,
+        );
+      }
+      this.currentMode = this.getInitialMode();
+      this.setAttribute("mode", this.currentMode);
+      this.themeTarget?.setAttribute("data-theme-mode", this.currentMode);
+      this.applyTheme(this.resolvedTheme);
+      if (!this.hasAttribute("tabindex")) {
+        this.tabIndex = 0;
+      }
+      this.updateAccessibility();
+      this.insertStatusRegion();
+      // keep icons rendered by the server or a previous connect, so a theme
+      // set by bootstrapTheme doesn't re-render or re-animate them
+      if (this.shadowRoot?.querySelector("[data-mode]")) {
+        this.syncIcons();
+      } else {
+        this.render();
+      }
       this.hydrate();
+      connectedToggles.add(this);
+      this.initialized = true;
+    }
+
+    /**
+     * Lifecycle method called when an observed attribute changes
+     * Lets markup switch the mode, the list of themes and the theme target.
+     * Ignored while upgrading, connectedCallback reads the attributes then.
+     * A mode set through the attribute is applied but never persisted, it
+     * is a default, not the user's choice.
+     *
+     * @param {string} name - the attribute name
+     * @param {string | null} oldValue - the previous value
+     * @param {string | null} newValue - the new value
+     * @returns {void}
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this.initialized || oldValue === newValue) return;
+      switch (name) {
+        case "mode":
+          if (newValue === this.currentMode) return;
+          if (
+            !this.isMode(newValue) ||
+            !this.changeMode(newValue, "attribute")
+          ) {
+            this.setAttribute("mode", this.currentMode);
+          }
+          break;
+        case "themes":
+          this.removeIconListeners();
+          if (!this.isMode(this.currentMode)) {
+            this.setMode(this.modes[0]);
+          }
+          this.updateAccessibility();
+          this.render();
+          this.addIconListeners();
+          break;
+        case "target":
+          this.observeTheme();
+          this.applyTheme(this.resolvedTheme);
+          break;
+        case "auto":
+          this.startSchedule();
+          break;
+      }
     }
 
     /**
@@ -26,16 +831,25 @@ customElements.define(
      * @returns {void}
      */
     disconnectedCallback() {
-      if (this.shadowRoot !== null) {
-        const sunIcon = this.shadowRoot.querySelector("icon-sun");
-        if (sunIcon) {
-          sunIcon.removeEventListener("clicked-sun", this);
-        }
-        const moonIcon = this.shadowRoot.querySelector("icon-moon");
-        if (moonIcon) {
-          moonIcon.removeEventListener("clicked-moon", this);
-        }
+      this.initialized = false;
+      connectedToggles.delete(this);
+      if (this.ownsStatusRegion) this.statusRegion?.remove();
+      this.removeIconListeners();
+      this.removeEventListener("keydown", this);
+      window.removeEventListener("storage", this);
+      if (this.channel) {
+        this.channel.removeEventListener("message", this);
+        this.channel.close();
+        this.channel = null;
+      }
+      if (this.mediaQuery) {
+        this.mediaQuery.removeEventListener("change", this);
+        this.mediaQuery = null;
+      }
+      if (this.observer) {
+        this.observer.disconnect();
       }
+      this.stopSchedule();
     }
 
     /**
@@ -45,105 +859,629 @@ customElements.define(
      */
     hydrate() {
       this.addEventListeners();
+      this.observeTheme();
+      this.startSchedule();
     }
 
     /**
-     * pass custom events to the eventHandler function
+     * pass icon click events to the eventHandler function
+     * listens for theme changes made in other tabs and in the OS
      *
      * @returns {void}
      */
     addEventListeners() {
-      if (this.shadowRoot !== null) {
-        const sunIcon = this.shadowRoot.querySelector("icon-sun");
-        if (sunIcon) {
-          sunIcon.addEventListener("clicked-sun", this);
-        }
-        const moonIcon = this.shadowRoot.querySelector("icon-moon");
-        if (moonIcon) {
-          moonIcon.addEventListener("clicked-moon", this);
-        }
+      this.addIconListeners();
+      this.addEventListener("keydown", this);
+      window.addEventListener("storage", this);
+      if (typeof BroadcastChannel !== "undefined") {
+        this.channel = new BroadcastChannel(THEME_CHANNEL_NAME);
+        this.channel.addEventListener("message", this);
       }
+      this.mediaQuery = window.matchMedia?.(DARK_SCHEME_QUERY) ?? null;
+      this.mediaQuery?.addEventListener("change", this);
+    }
+
+    /**
+     * Listens for the click event of every rendered icon
+     *
+     * @returns {void}
+     */
+    addIconListeners() {
+      if (this.shadowRoot === null) return;
+      this.shadowRoot.querySelectorAll("[data-mode]").forEach((icon) => {
+        const mode = icon.getAttribute("data-mode") || "";
+        const { eventName } = this.getThemeIcon(mode);
+        icon.addEventListener(eventName, this);
+        this.iconListeners.push({ icon, eventName });
+      });
+    }
+
+    /**
+     * Removes the icon click listeners added by addIconListeners
+     *
+     * @returns {void}
+     */
+    removeIconListeners() {
+      this.iconListeners.forEach(({ icon, eventName }) => {
+        icon.removeEventListener(eventName, this);
+      });
+      this.iconListeners = [];
     }
 
     /**
-     * handles events for sun and moon icon clicks
+     * handles icon click events and keyboard activation
+     * handles theme changes broadcast from other tabs
+     * handles OS color scheme changes
      *
-     * @param {CustomEvent} event - the event object, triggered on click of sun or moon icon
+     * @param {Event} event - icon click, keydown, storage, channel message or media query event
      * @returns {void}
      */
     handleEvent(event) {
       switch (event.type) {
-        case "clicked-sun":
-          this.handleIconClick(event);
+        case "keydown":
+          this.handleKeydown(/** @type {KeyboardEvent} */ (event));
+          break;
+        case "storage":
+          this.handleStorage(/** @type {StorageEvent} */ (event));
           break;
-        case "clicked-moon":
-          this.handleIconClick(event);
+        case "message":
+          this.handleMessage(/** @type {MessageEvent} */ (event));
           break;
+        case "change":
+          this.handleSystemChange();
+          break;
+        default:
+          if (this.iconListeners.some((l) => l.eventName === event.type)) {
+            this.handleIconClick(/** @type {CustomEvent} */ (event));
+          }
       }
     }
 
     /**
-     * Updates the data-theme attribute on the <html> element
-     * Updates the data-active on the sun and moon icons
+     * Moves to the next mode on click of the visible icon
      *
-     * @param {CustomEvent} event - the event object, triggered on click of sun or moon icon
+     * @param {CustomEvent} event - the event object, triggered on click of an icon
      * @returns {void}
      */
     handleIconClick(event) {
-      if (event.detail.id === "moon") {
-        if (this.shadowRoot != null) {
-          this.shadowRoot
-            .querySelector("icon-moon")
-            ?.setAttribute("data-active", "false");
-          this.shadowRoot
-            .querySelector("icon-sun")
-            ?.setAttribute("data-active", "true");
-          document.documentElement.setAttribute("data-theme", "dark");
+      this.cycleMode("click");
+    }
+
+    /**
+     * Moves to the next mode on Enter or Space, like a native button
+     *
+     * @param {KeyboardEvent} event - keydown on the toggle
+     * @returns {void}
+     */
+    handleKeydown(event) {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        this.cycleMode("keyboard");
+      }
+    }
+
+    /**
+     * Applies a mode changed in another tab through localStorage
+     *
+     * @param {StorageEvent} event - fired on window when another tab writes to localStorage
+     * @returns {void}
+     */
+    handleStorage(event) {
+      if (event.key !== this.storageKey) return;
+      if (this.isMode(event.newValue)) {
+        this.syncMode(event.newValue);
+      }
+    }
+
+    /**
+     * Applies a mode broadcast by another tab, covers storage adapters that
+     * don't fire the storage event
+     *
+     * @param {MessageEvent} event - message posted on the theme channel
+     * @returns {void}
+     */
+    handleMessage(event) {
+      const { key, mode } = event.data || {};
+      if (key !== this.storageKey) return;
+      if (this.isMode(mode)) {
+        this.syncMode(mode);
+      }
+    }
+
+    /**
+     * Applies a mode picked by hand in another tab, it overrides a running
+     * schedule here too
+     *
+     * @param {ThemeMode} mode - the mode from the other tab
+     * @returns {void}
+     */
+    syncMode(mode) {
+      if (!this.changeMode(mode, "sync")) return;
+      if (this.scheduleTimer !== null) {
+        this.scheduleOverride = this.getScheduledTheme();
+      }
+    }
+
+    /**
+     * Applies the mode stored under storageKey, called when the storage
+     * adapter is swapped. Also picks up the schedule override stored there.
+     *
+     * @returns {void}
+     */
+    restoreMode() {
+      const storedMode = getStoredMode(this.storageKey);
+      if (this.isMode(storedMode) && storedMode !== this.currentMode) {
+        this.changeMode(storedMode, "api");
+      }
+      if (this.scheduleTimer !== null) {
+        this.startSchedule();
+      }
+    }
+
+    /**
+     * Follows the OS color scheme while in system mode
+     *
+     * @returns {void}
+     */
+    handleSystemChange() {
+      if (this.currentMode === SYSTEM_MODE) {
+        this.changeMode(SYSTEM_MODE, "system");
+      }
+    }
+
+    /**
+     * Checks if a value is one of this toggle's modes
+     *
+     * @param {unknown} value - the value to check
+     * @returns {value is ThemeMode}
+     */
+    isMode(value) {
+      return isThemeName(value) && this.modes.includes(value);
+    }
+
+    /**
+     * Picks the mode to start in, the schedule wins when auto="schedule"
+     * unless the persisted choice overrides the current scheduled theme,
+     * then the persisted choice, then the mode attribute, then the
+     * data-theme-mode written by bootstrapTheme, then a data-theme already
+     * set on the theme target
+     *
+     * @returns {ThemeMode}
+     */
+    getInitialMode() {
+      const storedMode = getStoredMode(this.storageKey);
+      if (this.getAttribute("auto") === "schedule") {
+        const scheduledTheme = this.getScheduledTheme();
+        const override = themeStorage.getItem(this.overrideKey);
+        if (override === scheduledTheme && this.isMode(storedMode)) {
+          return storedMode;
         }
+        if (this.isMode(scheduledTheme)) return scheduledTheme;
+      }
+
+      if (this.isMode(storedMode)) return storedMode;
+
+      const attributeMode = this.getAttribute("mode");
+      if (this.isMode(attributeMode)) return attributeMode;
+
+      const targetMode = this.themeTarget?.getAttribute("data-theme-mode");
+      if (this.isMode(targetMode)) return targetMode;
+
+      const currentTheme = this.themeTarget?.getAttribute("data-theme");
+      if (currentTheme !== SYSTEM_MODE && this.isMode(currentTheme)) {
+        return currentTheme;
+      }
+      const modes = this.modes;
+      return modes.includes(SYSTEM_MODE) ? SYSTEM_MODE : modes[0];
+    }
+
+    /**
+     * Moves to the next mode, through the themes in order and then "system"
+     *
+     * @param {ThemeChangeSource} source - what triggered the change
+     * @returns {ThemeMode} the active mode, unchanged if the change was canceled
+     */
+    cycleMode(source) {
+      const modes = this.modes;
+      const index = modes.indexOf(this.currentMode);
+      this.saveMode(modes[(index + 1) % modes.length], source);
+      return this.currentMode;
+    }
+
+    /**
+     * Applies the mode, persists it and broadcasts it to the other tabs
+     *
+     * @param {ThemeMode} mode - the mode chosen by the user
+     * @param {ThemeChangeSource} source - what triggered the change
+     * @returns {boolean} false if a theme-change listener canceled the change
+     */
+    saveMode(mode, source) {
+      if (!this.changeMode(mode, source)) return false;
+      if (this.scheduleTimer !== null) {
+        this.scheduleOverride = this.getScheduledTheme();
+        themeStorage.setItem(this.overrideKey, this.scheduleOverride);
+      }
+      themeStorage.setItem(this.storageKey, mode);
+      this.channel?.postMessage({ key: this.storageKey, mode });
+      return true;
+    }
+
+    /**
+     * Starts re-evaluating the schedule every minute when auto="schedule",
+     * replacing a schedule already running. Picks up the override persisted
+     * by a previous page or another tab.
+     *
+     * @returns {void}
+     */
+    startSchedule() {
+      this.stopSchedule();
+      if (this.getAttribute("auto") !== "schedule") return;
+      this.scheduleOverride = themeStorage.getItem(this.overrideKey) || null;
+      this.applySchedule();
+      this.scheduleTimer = setInterval(
+        () => this.applySchedule(),
+        SCHEDULE_INTERVAL,
+      );
+    }
+
+    /**
+     * Stops the schedule timer
+     *
+     * @returns {void}
+     */
+    stopSchedule() {
+      if (this.scheduleTimer !== null) {
+        clearInterval(this.scheduleTimer);
+        this.scheduleTimer = null;
       }
-      if (event.detail.id === "sun") {
-        if (this.shadowRoot != null) {
-          this.shadowRoot
-            .querySelector("icon-moon")
-            ?.setAttribute("data-active", "true");
-          this.shadowRoot
-            .querySelector("icon-sun")
-            ?.setAttribute("data-active", "false");
-          document.documentElement.setAttribute("data-theme", "light");
+    }
+
+    /**
+     * Switches to the scheduled theme, unless the user picked a theme by hand
+     * since the schedule last moved on
+     *
+     * @returns {void}
+     */
+    applySchedule() {
+      const scheduledTheme = this.getScheduledTheme();
+      if (this.scheduleOverride !== null) {
+        if (this.scheduleOverride === scheduledTheme) return;
+        this.scheduleOverride = null;
+        themeStorage.setItem(this.overrideKey, "");
+      }
+      if (this.isMode(scheduledTheme) && scheduledTheme !== this.currentMode) {
+        this.changeMode(scheduledTheme, "schedule");
+      }
+    }
+
+    /**
+     * Works out the theme the schedule asks for right now, day-theme
+     * (default light) between sunrise and sunset when latitude and longitude
+     * are set, else between the day-start and night-start local times,
+     * night-theme (default dark) otherwise
+     *
+     * @param {Date} [now] - the time to evaluate, defaults to now
+     * @returns {string} the scheduled theme
+     */
+    getScheduledTheme(now = new Date()) {
+      const dayTheme = this.getAttribute("day-theme") || "light";
+      const nightTheme = this.getAttribute("night-theme") || "dark";
+
+      const latitude = parseFloat(this.getAttribute("latitude") || "");
+      const longitude = parseFloat(this.getAttribute("longitude") || "");
+      if (!isNaN(latitude) && !isNaN(longitude)) {
+        const sun = getSunTimes(now, latitude, longitude);
+        if (sun === "polar-day") return dayTheme;
+        if (sun === "polar-night") return nightTheme;
+        return now >= sun.sunrise && now < sun.sunset ? dayTheme : nightTheme;
+      }
+
+      const dayStart =
+        parseTime(this.getAttribute("day-start")) ??
+        /** @type {number} */ (parseTime(DEFAULT_DAY_START));
+      const nightStart =
+        parseTime(this.getAttribute("night-start")) ??
+        /** @type {number} */ (parseTime(DEFAULT_NIGHT_START));
+      const minutes = now.getHours() * 60 + now.getMinutes();
+      const isDay =
+        dayStart <= nightStart
+          ? minutes >= dayStart && minutes < nightStart
+          : minutes >= dayStart || minutes < nightStart;
+      return isDay ? dayTheme : nightTheme;
+    }
+
+    /**
+     * Dispatches the theme-change event and applies the mode unless a
+     * listener canceled it
+     *
+     * @param {ThemeMode} mode - the mode to apply
+     * @param {ThemeChangeSource} source - what triggered the change
+     * @returns {boolean} false if a theme-change listener canceled the change
+     */
+    changeMode(mode, source) {
+      const previous = this.themeTarget?.getAttribute("data-theme") ?? null;
+      const next = resolveTheme(mode);
+      if (mode === this.currentMode && previous === next) return true;
+
+      /** @type {ThemeChangeDetail} */
+      const detail = { previous, next, mode, source };
+      const allowed = this.dispatchEvent(
+        new CustomEvent("theme-change", {
+          bubbles: true,
+          cancelable: true,
+          composed: true,
+          detail,
+        }),
+      );
+      if (!allowed) return false;
+
+      this.setMode(mode);
+      this.announce();
+      return true;
+    }
+
+    /**
+     * Updates the mode attribute, the icons and the target's data-theme and
+     * data-theme-mode
+     * without asking theme-change listeners
+     *
+     * @param {ThemeMode} mode - the mode to apply
+     * @returns {void}
+     */
+    setMode(mode) {
+      this.currentMode = mode;
+      if (this.getAttribute("mode") !== mode) {
+        this.setAttribute("mode", mode);
+      }
+      this.themeTarget?.setAttribute("data-theme-mode", mode);
+      this.syncIcons();
+      this.updateAccessibility();
+      this.transitionTheme(this.resolvedTheme);
+    }
+
+    /**
+     * Applies the theme through a view transition when the transition
+     * attribute asks for one, instantly when the browser has no View
+     * Transitions API or the user prefers reduced motion
+     *
+     * @param {string} theme - the theme to apply
+     * @returns {void}
+     */
+    transitionTheme(theme) {
+      const target = this.themeTarget;
+      if (!target) return;
+      if (target.getAttribute("data-theme") === theme) {
+        this.applyTheme(theme);
+        return;
+      }
+
+      const transition = this.transition;
+      if (
+        transition === "none" ||
+        typeof document.startViewTransition !== "function" ||
+        window.matchMedia?.(REDUCED_MOTION_QUERY).matches
+      ) {
+        this.applyTheme(theme);
+        return;
+      }
+
+      if (transition === "fade") {
+        document.startViewTransition(() => this.applyTheme(theme));
+        return;
+      }
+
+      addTransitionStyle();
+      const root = document.documentElement;
+      root.setAttribute("data-theme-transition", "circle");
+      const viewTransition = document.startViewTransition(() =>
+        this.applyTheme(theme),
+      );
+      viewTransition.ready.then(() => this.animateCircle()).catch(() => {});
+      viewTransition.finished
+        .catch(() => {})
+        .finally(() => root.removeAttribute("data-theme-transition"));
+    }
+
+    /**
+     * Reveals the new theme as a circle growing out of the toggle's icon
+     * until it covers the farthest corner of the viewport
+     *
+     * @returns {void}
+     */
+    animateCircle() {
+      const rect = this.getBoundingClientRect();
+      const x = rect.left + rect.width / 2;
+      const y = rect.top + rect.height / 2;
+      const radius = Math.hypot(
+        Math.max(x, window.innerWidth - x),
+        Math.max(y, window.innerHeight - y),
+      );
+
+      document.documentElement.animate(
+        {
+          clipPath: [
+            `circle(0px at ${x}px ${y}px)`,
+            `circle(${radius}px at ${x}px ${y}px)`,
+          ],
+        },
+        {
+          duration: TRANSITION_DURATION,
+          easing: "ease-in-out",
+          pseudoElement: "::view-transition-new(root)",
+        },
+      );
+    }
+
+    /**
+     * Sets the data-theme attribute and the theme's tokens on the theme target
+     *
+     * @param {string} theme - the theme to apply
+     * @returns {void}
+     */
+    applyTheme(theme) {
+      const target = this.themeTarget;
+      if (!target) return;
+      applyThemeTokens(target, theme);
+      if (target.getAttribute("data-theme") !== theme) {
+        target.setAttribute("data-theme", theme);
+      }
+    }
+
+    /**
+     * Observes the data-theme attribute on the theme target, when other
+     * code sets one of the themes and the current mode wouldn't resolve to it,
+     * that theme becomes the mode
+     *
+     * @returns {void}
+     */
+    observeTheme() {
+      this.observer?.disconnect();
+      const target = this.themeTarget;
+      if (!target) return;
+
+      this.observer = new MutationObserver(() => {
+        const theme = target.getAttribute("data-theme");
+        if (theme === this.resolvedTheme) return;
+        if (theme !== SYSTEM_MODE && this.isMode(theme)) {
+          this.setMode(theme);
         }
+      });
+
+      this.observer.observe(target, {
+        attributes: true,
+        attributeFilter: ["data-theme"],
+      });
+    }
+
+    /**
+     * Sets data-active on every icon from the mode
+     *
+     * @returns {void}
+     */
+    syncIcons() {
+      if (this.shadowRoot != null) {
+        this.shadowRoot.querySelectorAll("[data-mode]").forEach((icon) => {
+          const mode = icon.getAttribute("data-mode") || "";
+          icon.setAttribute("data-active", this.setIconVisibility(mode));
+        });
+      }
+    }
+
+    /**
+     * Determines if the icon should be visible, each icon shows its own mode
+     *
+     * @param {ThemeMode} mode - The mode the icon stands for
+     * @returns {string} "true" if the icon should be visible, "false" otherwise
+     */
+    setIconVisibility(mode) {
+      return mode === this.currentMode ? "true" : "false";
+    }
+
+    /**
+     * Finds the icon element for a mode, a child slotted as icon-<mode>
+     * always renders through icon-theme
+     *
+     * @param {ThemeMode} mode - the mode the icon stands for
+     * @returns {ThemeIcon}
+     */
+    getThemeIcon(mode) {
+      if (this.querySelector(`:scope > [slot="icon-${mode}"]`)) {
+        return FALLBACK_ICON;
       }
+      return themeIcons.get(mode) || FALLBACK_ICON;
+    }
+
+    /**
+     * Accessible name of a mode, from its label-<mode> attribute
+     *
+     * @param {ThemeMode} mode - the mode to name
+     * @returns {string}
+     */
+    getModeLabel(mode) {
+      return (
+        this.getAttribute(`label-${mode}`) ||
+        MODE_LABELS[mode] ||
+        `${mode.charAt(0).toUpperCase()}${mode.slice(1)}`
+      );
     }
 
     /**
-     * Ensures that the <html> element has the data-theme attribute
-     * if missing, sets it to default system setting (default 'light')
+     * Exposes the toggle as a switch when it has two modes, checked while the
+     * second one is active, and as a button naming the active mode otherwise
      *
      * @returns {void}
      */
-    setSystemTheme() {
-      const currentTheme = document.documentElement.getAttribute("data-theme");
-      if (currentTheme !== null) return;
+    updateAccessibility() {
+      const modes = this.modes;
+      if (modes.length === 2) {
+        this.setAttribute("role", "switch");
+        this.setAttribute(
+          "aria-checked",
+          String(this.currentMode === modes[1]),
+        );
+        this.setAttribute(
+          "aria-label",
+          `${this.label}: ${this.getModeLabel(modes[1])}`,
+        );
+      } else {
+        this.setAttribute("role", "button");
+        this.removeAttribute("aria-checked");
+        this.setAttribute(
+          "aria-label",
+          `${this.label}: ${this.getModeLabel(this.currentMode)}`,
+        );
+      }
+    }
 
-      const prefersDark = window.matchMedia?.(
-        "(prefers-color-scheme: dark)",
-      ).matches;
-      const systemTheme = prefersDark ? "dark" : "light";
+    /**
+     * Uses the page's live region named by the status attribute, or inserts
+     * a visually hidden one right after the host, outside the element
+     * carrying the switch or button role
+     *
+     * @returns {void}
+     */
+    insertStatusRegion() {
+      const statusId = this.getAttribute("status");
+      const provided = statusId ? document.getElementById(statusId) : null;
+      if (provided) {
+        if (this.ownsStatusRegion) this.statusRegion?.remove();
+        this.statusRegion = provided;
+        this.ownsStatusRegion = false;
+        return;
+      }
+      if (!this.ownsStatusRegion || !this.statusRegion) {
+        const status = document.createElement("span");
+        status.setAttribute("role", "status");
+        status.setAttribute("aria-live", "polite");
+        status.style.cssText =
+          "position: absolute; width: 1px; height: 1px; overflow: hidden; " +
+          "clip-path: inset(50%); white-space: nowrap;";
+        this.statusRegion = status;
+        this.ownsStatusRegion = true;
+      }
+      this.after(this.statusRegion);
+    }
 
-      document.documentElement.setAttribute("data-theme", systemTheme);
+    /**
+     * Announces the active mode through the polite live region
+     *
+     * @returns {void}
+     */
+    announce() {
+      if (this.statusRegion) {
+        this.statusRegion.textContent = `${this.label}: ${this.getModeLabel(this.currentMode)}`;
+      }
     }
 
     /**
-     * Determines if the icon should be visible based on the current data-theme
+     * Renders the icon element for a mode
      *
-     * @param {'sun' | 'moon'} icon - The icon type, either "sun" or "moon"
-     * @returns {string} "true" if the icon should be visible, "false" otherwise
+     * @param {ThemeMode} mode - the mode the icon stands for
+     * @returns {string} the icon markup
      */
-    setIconVisibility(icon) {
-      const dataTheme =
-        document.documentElement.getAttribute("data-theme") || "light";
-      if (icon === "sun") return dataTheme === "dark" ? "true" : "false";
-      if (icon === "moon") return dataTheme === "light" ? "true" : "false";
-      return "false";
+    renderIcon(mode) {
+      const { tagName } = this.getThemeIcon(mode);
+      return `<${tagName} aria-hidden="true" data-mode="${mode}" data-theme-name="${mode}" data-active=${this.setIconVisibility(mode)}></${tagName}>`;
     }
 
     /**
@@ -154,19 +1492,26 @@ customElements.define(
     render() {
       if (this.shadowRoot) {
         this.shadowRoot.innerHTML = `
-        <icon-sun data-active=${this.setIconVisibility("sun")}></icon-sun>
-        <icon-moon data-active=${this.setIconVisibility("moon")}></icon-moon>
+        ${this.modes.map((mode) => this.renderIcon(mode)).join("\n")}
         <style>
           :host {
             align-items: center;
+            border-radius: 50%;
+            cursor: pointer;
             display: flex;
             height: 28px;
             justify-content: center;
             position: relative;
             width: 28px;
           }
-          icon-moon,
-          icon-sun {
+          :host(:focus) {
+            outline: none;
+          }
+          :host(:focus-visible) {
+            outline: 3px solid var(--accent, currentColor);
+            outline-offset: 4px;
+          }
+          [data-mode] {
             align-items: center;
             display: flex;
             height: 32px;
@@ -184,28 +1529,24 @@ customElements.define(
             width: 32px;
           }
 
-          /* Default state: hidden via scale(0) */
-          .icon-sun,
-          .icon-moon {
+          /* Default state: hidden via scale(0), delayed to fade in later if
+             two icons toggle at once */
+          .icon {
             transform: scale(0);
             opacity: 0;
             pointer-events: none;
+            transition-delay: 100ms;
             z-index: 0;
           }
 
           /* Active state */
-          .icon-sun.active,
-          .icon-moon.active {
+          .icon.active {
             transform: scale(1) rotate(360deg);
             opacity: 1;
             pointer-events: auto;
             z-index: 1;
           }
 
-          /* Delay moon to fade in later if both toggle at once */
-          .icon-moon {
-            transition-delay: 100ms;
-          }
           .icon-sun {
             transition-delay: 0ms;
           }
@@ -217,7 +1558,33 @@ customElements.define(
           .icon-moon svg path {
             fill: var(--success);
           }
-        </sytle>
+          .icon-system svg path {
+            fill: var(--accent);
+          }
+
+          /* Fallback for themes without an icon, the first letter in a ring */
+          .icon-label {
+            align-items: center;
+            border: 3px solid currentColor;
+            border-radius: 50%;
+            box-sizing: border-box;
+            display: flex;
+            font: bold 16px/1 sans-serif;
+            height: 32px;
+            justify-content: center;
+            width: 32px;
+          }
+          ::slotted(*) {
+            height: 32px;
+            width: 32px;
+          }
+
+          @media (prefers-reduced-motion: reduce) {
+            .icon {
+              transition: none;
+            }
+          }
+        </style>
     `;
       }
     }
@@ -238,25 +1605,30 @@ customElements.define(
     constructor() {
       super();
       this.observer = null;
+      this.handleClick = this.handleClick.bind(this);
     }
 
     /**
      * Called when the element is added to the DOM.
-     * It renders the icon and hydrates its state (finds and sets up event listeners and observers).
+     * It renders the icon, unless server rendered markup is already there, and
+     * hydrates its state (finds and sets up event listeners and observers).
      */
     connectedCallback() {
-      this.render();
+      if (!this.querySelector("#icon-sun")) {
+        this.render();
+      }
       this.hydrate();
     }
 
     /**
      * Called when the element is removed from the DOM.
-     * Disconnects the mutation observer if it exists.
+     * Disconnects the mutation observer if it exists and removes the click listener.
      */
     disconnectedCallback() {
       if (this.observer) {
         this.observer.disconnect();
       }
+      this.icon?.removeEventListener("click", this.handleClick);
     }
 
     /**
@@ -279,7 +1651,7 @@ customElements.define(
      */
     addEventListeners() {
       if (this.icon != null) {
-        this.icon.addEventListener("click", this.handleClick.bind(this));
+        this.icon.addEventListener("click", this.handleClick);
       }
     }
 
@@ -318,13 +1690,11 @@ customElements.define(
                 throw new Error("icon is not initialized");
               }
               this.icon.classList.add("active");
-              this.icon.tabIndex = 0;
             } else {
               if (!this.icon) {
                 throw new Error("icon is not initialized");
               }
               this.icon.classList.remove("active");
-              this.icon.tabIndex = -1;
             }
           }
         }
@@ -335,12 +1705,10 @@ customElements.define(
     }
 
     /**
-     * Set the initial active class depending on the html element data-theme attribute
+     * Set the initial active class from the data-active attribute set by toggle-theme
      */
     setDisplay() {
-      const dataTheme =
-        document.documentElement.getAttribute("data-theme") || "light";
-      return dataTheme === "dark" ? "active" : "";
+      return this.getAttribute("data-active") === "true" ? "active" : "";
     }
 
     /**
@@ -375,25 +1743,30 @@ customElements.define(
     constructor() {
       super();
       this.observer = null;
+      this.handleClick = this.handleClick.bind(this);
     }
 
     /**
      * Called when the element is added to the DOM.
-     * It renders the icon and hydrates its state (finds and sets up event listeners and observers).
+     * It renders the icon, unless server rendered markup is already there, and
+     * hydrates its state (finds and sets up event listeners and observers).
      */
     connectedCallback() {
-      this.render();
+      if (!this.querySelector("#icon-moon")) {
+        this.render();
+      }
       this.hydrate();
     }
 
     /**
      * Called when the element is removed from the DOM.
-     * Disconnects the mutation observer if it exists.
+     * Disconnects the mutation observer if it exists and removes the click listener.
      */
     disconnectedCallback() {
       if (this.observer) {
         this.observer.disconnect();
       }
+      this.icon?.removeEventListener("click", this.handleClick);
     }
 
     /**
@@ -416,7 +1789,7 @@ customElements.define(
      */
     addEventListeners() {
       if (this.icon != null) {
-        this.icon.addEventListener("click", this.handleClick.bind(this));
+        this.icon.addEventListener("click", this.handleClick);
       }
     }
 
@@ -470,12 +1843,10 @@ customElements.define(
     }
 
     /**
-     * Set the initial active class depending on the html element data-theme attribute
+     * Set the initial active class from the data-active attribute set by toggle-theme
      */
     setDisplay() {
-      const dataTheme =
-        document.documentElement.getAttribute("data-theme") || "light";
-      return dataTheme === "light" ? "active" : "";
+      return this.getAttribute("data-active") === "true" ? "active" : "";
     }
 
     /**
@@ -495,3 +1866,282 @@ customElements.define(
     }
   },
 );
+
+/**
+ * Custom element representing an icon with a system (desktop) design.
+ * It includes functionality for event handling, attribute observation, and rendering the icon.
+ */
+customElements.define(
+  "icon-system",
+  class extends HTMLElement {
+    /**
+     * Creates an instance of the icon-system custom element.
+     * Initializes the observer to monitor attribute changes.
+     */
+    constructor() {
+      super();
+      this.observer = null;
+      this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * Called when the element is added to the DOM.
+     * It renders the icon, unless server rendered markup is already there, and
+     * hydrates its state (finds and sets up event listeners and observers).
+     */
+    connectedCallback() {
+      if (!this.querySelector("#icon-system")) {
+        this.render();
+      }
+      this.hydrate();
+    }
+
+    /**
+     * Called when the element is removed from the DOM.
+     * Disconnects the mutation observer if it exists and removes the click listener.
+     */
+    disconnectedCallback() {
+      if (this.observer) {
+        this.observer.disconnect();
+      }
+      this.icon?.removeEventListener("click", this.handleClick);
+    }
+
+    /**
+     * Initializes the icon element, sets up event listeners, and starts observing attribute changes.
+     *
+     * @throws {Error} Throws an error if the icon element is not found.
+     */
+    hydrate() {
+      /** @type {SVGElement | null} */
+      this.icon = this.querySelector("#icon-system");
+      if (!this.icon) {
+        throw new Error("icon-system element not found");
+      }
+      this.addEventListeners();
+      this.observeAttributes();
+    }
+
+    /**
+     * Adds event listeners to the icon element, specifically for the "click" event.
+     */
+    addEventListeners() {
+      if (this.icon != null) {
+        this.icon.addEventListener("click", this.handleClick);
+      }
+    }
+
+    /**
+     * Handles the click event on the component.
+     * Prevents the default action and dispatches a custom event with the details.
+     *
+     * @param {MouseEvent} event - The click event object that is passed by the browser when the user clicks on the component.
+     * @returns {void}
+     */
+    handleClick(event) {
+      event.preventDefault();
+
+      this.dispatchEvent(
+        new CustomEvent("clicked-system", {
+          bubbles: true,
+          composed: false,
+          detail: { id: "system" },
+        }),
+      );
+    }
+
+    /**
+     * Observes changes to specific attributes of the custom element (e.g., `data-active`).
+     * Adjusts the display of the icon based on these attribute changes.
+     */
+    observeAttributes() {
+      this.observer = new MutationObserver((mutationsList) => {
+        for (const mutation of mutationsList) {
+          if (mutation.type === "attributes") {
+            const active = this.getAttribute("data-active");
+
+            // Hide or show the icon based on the attribute
+            if (active === "true") {
+              if (!this.icon) {
+                throw new Error("icon is not initialized");
+              }
+              this.icon.classList.add("active");
+            } else {
+              if (!this.icon) {
+                throw new Error("icon is not initialized");
+              }
+              this.icon.classList.remove("active");
+            }
+          }
+        }
+      });
+
+      // Observe changes to 'data-hidden' and 'data-active' attributes
+      this.observer.observe(this, { attributes: true });
+    }
+
+    /**
+     * Set the initial active class from the data-active attribute set by toggle-theme
+     */
+    setDisplay() {
+      return this.getAttribute("data-active") === "true" ? "active" : "";
+    }
+
+    /**
+     * Renders the SVG for the system icon inside the custom element.
+     * This method is called when the element is connected to the DOM.
+     */
+    render() {
+      this.innerHTML = `
+      <div id="icon-system" class="icon icon-system ${this.setDisplay()}">
+        <svg id="svg-system" height="32" width="32" fill="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+          <path clip-rule="evenodd" d="M2.25 5.25a3 3 0 013-3h13.5a3 3 0 013 3V15a3 3 0 01-3 3h-3v.257c0 .597.237 1.17.659 1.591l.621.622a.75.75 0 01-.53 1.28h-9a.75.75 0 01-.53-1.28l.621-.622a2.25 2.25 0 00.659-1.59V18h-3a3 3 0 01-3-3V5.25zm1.5 0v7.5a1.5 1.5 0 001.5 1.5h13.5a1.5 1.5 0 001.5-1.5v-7.5a1.5 1.5 0 00-1.5-1.5H5.25a1.5 1.5 0 00-1.5 1.5z" fill-rule="evenodd"></path>
+        </svg>
+      </div>
+      <style>
+      </style>
+    `;
+    }
+  },
+);
+
+/**
+ * Custom element representing the icon of a theme without its own icon element.
+ * Renders the toggle-theme child slotted as icon-<theme>, or the first letter
+ * of the theme name when there is none. It includes functionality for event handling, attribute observation, and rendering the icon.
+ */
+customElements.define(
+  "icon-theme",
+  class extends HTMLElement {
+    /**
+     * Creates an instance of the icon-theme custom element.
+     * Initializes the observer to monitor attribute changes.
+     */
+    constructor() {
+      super();
+      this.observer = null;
+      this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * Called when the element is added to the DOM.
+     * It renders the icon, unless server rendered markup is already there, and
+     * hydrates its state (finds and sets up event listeners and observers).
+     */
+    connectedCallback() {
+      if (!this.querySelector("#icon-theme")) {
+        this.render();
+      }
+      this.hydrate();
+    }
+
+    /**
+     * Called when the element is removed from the DOM.
+     * Disconnects the mutation observer if it exists and removes the click listener.
+     */
+    disconnectedCallback() {
+      if (this.observer) {
+        this.observer.disconnect();
+      }
+      this.icon?.removeEventListener("click", this.handleClick);
+    }
+
+    /**
+     * Initializes the icon element, sets up event listeners, and starts observing attribute changes.
+     *
+     * @throws {Error} Throws an error if the icon element is not found.
+     */
+    hydrate() {
+      /** @type {HTMLElement | null} */
+      this.icon = this.querySelector("#icon-theme");
+      if (!this.icon) {
+        throw new Error("icon-theme element not found");
+      }
+      this.addEventListeners();
+      this.observeAttributes();
+    }
+
+    /**
+     * Adds event listeners to the icon element, specifically for the "click" event.
+     */
+    addEventListeners() {
+      if (this.icon != null) {
+        this.icon.addEventListener("click", this.handleClick);
+      }
+    }
+
+    /**
+     * Handles the click event on the component.
+     * Prevents the default action and dispatches a custom event with the details.
+     *
+     * @param {MouseEvent} event - The click event object that is passed by the browser when the user clicks on the component.
+     * @returns {void}
+     */
+    handleClick(event) {
+      event.preventDefault();
+
+      this.dispatchEvent(
+        new CustomEvent("clicked-theme", {
+          bubbles: true,
+          composed: false,
+          detail: { id: this.getAttribute("data-theme-name") },
+        }),
+      );
+    }
+
+    /**
+     * Observes changes to specific attributes of the custom element (e.g., `data-active`).
+     * Adjusts the display of the icon based on these attribute changes.
+     */
+    observeAttributes() {
+      this.observer = new MutationObserver((mutationsList) => {
+        for (const mutation of mutationsList) {
+          if (mutation.type === "attributes") {
+            const active = this.getAttribute("data-active");
+
+            // Hide or show the icon based on the attribute
+            if (active === "true") {
+              if (!this.icon) {
+                throw new Error("icon is not initialized");
+              }
+              this.icon.classList.add("active");
+            } else {
+              if (!this.icon) {
+                throw new Error("icon is not initialized");
+              }
+              this.icon.classList.remove("active");
+            }
+          }
+        }
+      });
+
+      // Observe changes to 'data-hidden' and 'data-active' attributes
+      this.observer.observe(this, { attributes: true });
+    }
+
+    /**
+     * Set the initial active class from the data-active attribute set by toggle-theme
+     */
+    setDisplay() {
+      return this.getAttribute("data-active") === "true" ? "active" : "";
+    }
+
+    /**
+     * Renders a slot for the theme's icon, with the first letter of the theme
+     * name as fallback content.
+     * This method is called when the element is connected to the DOM.
+     */
+    render() {
+      const name = this.getAttribute("data-theme-name") || "";
+      this.innerHTML = `
+      <div id="icon-theme" class="icon icon-theme ${this.setDisplay()}" title="${name}">
+        <slot name="icon-${name}">
+          <span class="icon-label">${name.charAt(0).toUpperCase()}</span>
+        </slot>
+      </div>
+      <style>
+      </style>
+    `;
+    }
+  },
+);